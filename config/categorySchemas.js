@@ -0,0 +1,122 @@
+// Declared fields for each extraction category.
+// Field names match the CAPITAL keys the models are prompted to return; aliases cover
+// the common variants so a prompt wording change does not flag every item as invalid.
+// Types: string, number, currency, date
+
+const CATEGORY_SCHEMAS = {
+  labour: {
+    label: 'Labour',
+    fields: {
+      WORKER_NAME: { type: 'string', required: true, aliases: ['NAME', 'EMPLOYEE_NAME', 'EMPLOYEE', 'WORKER'] },
+      TRADE: { type: 'string', aliases: ['CLASSIFICATION', 'POSITION', 'ROLE'] },
+      DATE: { type: 'date', aliases: ['WORK_DATE'] },
+      HOURS: { type: 'number', required: true, aliases: ['TOTAL_HOURS', 'HRS', 'QUANTITY'] },
+      RATE: { type: 'currency', required: true, aliases: ['HOURLY_RATE', 'UNIT_RATE', 'UNIT_PRICE'] },
+      AMOUNT: { type: 'currency', aliases: ['TOTAL', 'TOTAL_AMOUNT', 'LINE_TOTAL', 'EXTENDED_AMOUNT'] }
+    }
+  },
+  material: {
+    label: 'Material',
+    fields: {
+      DESCRIPTION: { type: 'string', required: true, aliases: ['ITEM', 'ITEM_DESCRIPTION', 'MATERIAL'] },
+      DATE: { type: 'date', aliases: ['INVOICE_DATE', 'DELIVERY_DATE'] },
+      QUANTITY: { type: 'number', required: true, aliases: ['QTY'] },
+      UNIT: { type: 'string', aliases: ['UOM', 'UNIT_OF_MEASURE'] },
+      UNIT_PRICE: { type: 'currency', required: true, aliases: ['PRICE', 'RATE', 'UNIT_COST'] },
+      AMOUNT: { type: 'currency', aliases: ['TOTAL', 'TOTAL_AMOUNT', 'LINE_TOTAL', 'EXTENDED_AMOUNT'] }
+    }
+  },
+  equipment: {
+    label: 'Equipment',
+    fields: {
+      DESCRIPTION: { type: 'string', required: true, aliases: ['EQUIPMENT', 'EQUIPMENT_NAME', 'ITEM'] },
+      UNIT_ID: { type: 'string', aliases: ['UNIT', 'UNIT_NUMBER', 'EQUIPMENT_ID', 'ASSET_ID'] },
+      DATE: { type: 'date', aliases: ['WORK_DATE'] },
+      QUANTITY: { type: 'number', required: true, aliases: ['QTY', 'HOURS', 'DAYS'] },
+      RATE: { type: 'currency', required: true, aliases: ['UNIT_PRICE', 'HOURLY_RATE', 'DAILY_RATE'] },
+      AMOUNT: { type: 'currency', aliases: ['TOTAL', 'TOTAL_AMOUNT', 'LINE_TOTAL', 'EXTENDED_AMOUNT'] }
+    }
+  },
+  consumables: {
+    label: 'Consumables',
+    fields: {
+      DESCRIPTION: { type: 'string', required: true, aliases: ['ITEM', 'ITEM_DESCRIPTION'] },
+      DATE: { type: 'date', aliases: ['INVOICE_DATE'] },
+      QUANTITY: { type: 'number', required: true, aliases: ['QTY'] },
+      UNIT: { type: 'string', aliases: ['UOM', 'UNIT_OF_MEASURE'] },
+      UNIT_PRICE: { type: 'currency', required: true, aliases: ['PRICE', 'RATE', 'UNIT_COST'] },
+      AMOUNT: { type: 'currency', aliases: ['TOTAL', 'TOTAL_AMOUNT', 'LINE_TOTAL', 'EXTENDED_AMOUNT'] }
+    }
+  },
+  subtrade: {
+    label: 'Subtrade',
+    fields: {
+      VENDOR: { type: 'string', required: true, aliases: ['SUBCONTRACTOR', 'SUBTRADE', 'COMPANY', 'SUPPLIER'] },
+      DESCRIPTION: { type: 'string', aliases: ['SCOPE', 'WORK_DESCRIPTION'] },
+      INVOICE_NUMBER: { type: 'string', aliases: ['INVOICE_NO', 'INVOICE', 'REFERENCE'] },
+      DATE: { type: 'date', aliases: ['INVOICE_DATE'] },
+      AMOUNT: { type: 'currency', required: true, aliases: ['TOTAL', 'TOTAL_AMOUNT', 'SUBTOTAL'] }
+    }
+  },
+  labourTimesheet: {
+    label: 'Labour Timesheet',
+    fields: {
+      WORKER_NAME: { type: 'string', required: true, aliases: ['NAME', 'EMPLOYEE_NAME', 'EMPLOYEE', 'WORKER'] },
+      TRADE: { type: 'string', aliases: ['CLASSIFICATION', 'POSITION', 'ROLE'] },
+      DATE: { type: 'date', required: true, aliases: ['WORK_DATE', 'DAY'] },
+      HOURS: { type: 'number', required: true, aliases: ['TOTAL_HOURS', 'HRS'] },
+      REGULAR_HOURS: { type: 'number', aliases: ['REG_HOURS', 'RT_HOURS'] },
+      OVERTIME_HOURS: { type: 'number', aliases: ['OT_HOURS', 'OVERTIME'] }
+    }
+  },
+  equipmentLog: {
+    label: 'Equipment Log',
+    fields: {
+      UNIT_ID: { type: 'string', required: true, aliases: ['UNIT', 'UNIT_NUMBER', 'EQUIPMENT_ID', 'ASSET_ID'] },
+      DESCRIPTION: { type: 'string', aliases: ['EQUIPMENT', 'EQUIPMENT_NAME'] },
+      DATE: { type: 'date', required: true, aliases: ['WORK_DATE', 'DAY'] },
+      HOURS: { type: 'number', required: true, aliases: ['TOTAL_HOURS', 'HRS', 'HOURS_USED'] },
+      OPERATOR: { type: 'string', aliases: ['OPERATOR_NAME', 'DRIVER'] }
+    }
+  }
+};
+
+// Map the category string returned by the model to one of our category keys.
+// Tolerates case, spacing/underscores and the American "labor" spelling.
+const CATEGORY_LOOKUP = {};
+Object.keys(CATEGORY_SCHEMAS).forEach(key => {
+  CATEGORY_LOOKUP[key.toLowerCase()] = key;
+});
+
+const normalizeCategory = (category) => {
+  if (typeof category !== 'string') return null;
+  const normalized = category.toLowerCase().replace(/[\s_-]/g, '').replace(/^labor/, 'labour');
+  return CATEGORY_LOOKUP[normalized] || null;
+};
+
+// Find a declared field on an item under its own name or any alias
+const findField = (item, fieldName, fieldDef) => {
+  const candidates = [fieldName, ...(fieldDef.aliases || [])];
+  for (const candidate of candidates) {
+    if (Object.prototype.hasOwnProperty.call(item, candidate)) {
+      return { key: candidate, value: item[candidate] };
+    }
+  }
+  return null;
+};
+
+// Value of a declared field for an item of the given category, or undefined
+const getFieldValue = (item, category, fieldName) => {
+  const schema = CATEGORY_SCHEMAS[category];
+  if (!schema || !schema.fields[fieldName] || !item) return undefined;
+  const found = findField(item, fieldName, schema.fields[fieldName]);
+  return found ? found.value : undefined;
+};
+
+module.exports = {
+  CATEGORY_SCHEMAS,
+  CATEGORIES: Object.keys(CATEGORY_SCHEMAS),
+  normalizeCategory,
+  findField,
+  getFieldValue
+};
@@ -0,0 +1,169 @@
+// Every model the API can route to. Pricing is USD per million tokens (perPage for per-page services).
+// maxConcurrent is the batch parallelism per API key (Gemini multiplies it by the number of keys).
+// capabilities.structuredOutput: the provider is sent the item schema (see services/structuredOutput.js).
+// fallbacks are tried in order when a page fails on the model (only enabled, configured models are used).
+// Models can be switched on/off or re-priced without code changes - see services/modelRegistry.js
+
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    load: () => require('../services/geminiService'),
+    isConfigured: () => Object.keys(process.env).some(key => /^GEMINI_API_KEY(_\d+)?$/.test(key) && process.env[key].trim() !== '')
+  },
+  claude: {
+    label: 'Anthropic Claude',
+    load: () => require('../services/claudeService'),
+    isConfigured: () => !!process.env.ANTHROPIC_API_KEY
+  },
+  openai: {
+    label: 'OpenAI',
+    load: () => require('../services/openaiService'),
+    isConfigured: () => !!process.env.OPENAI_API_KEY
+  },
+  tesseract: {
+    label: 'Local OCR',
+    load: () => require('../services/ocrService'),
+    isConfigured: () => true
+  },
+  textract: {
+    label: 'AWS Textract',
+    load: () => require('../services/textractService'),
+    isConfigured: () => !!process.env.TEXTRACT_ENDPOINT || !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY)
+  },
+  mock: {
+    label: 'Mock (offline fixtures)',
+    load: () => require('../services/mockService'),
+    isConfigured: () => true
+  }
+};
+
+const MODELS = [
+  {
+    id: 'gemini-3.1-flash-lite',
+    provider: 'gemini',
+    label: 'Gemini 3.1-Flash',
+    description: 'Fast and efficient (Current)',
+    pricing: { input: 0.10, output: 0.40 },
+    maxConcurrent: 8,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['gpt-4o-mini', 'claude-haiku-4-5-20251001']
+  },
+  {
+    id: 'gemini-3.5-flash',
+    provider: 'gemini',
+    label: 'Gemini 3.5 Flash',
+    description: 'Faster with improved accuracy',
+    pricing: { input: 0.15, output: 0.60 },
+    maxConcurrent: 8,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['gpt-4o-mini', 'claude-haiku-4-5-20251001']
+  },
+  {
+    id: 'gemini-3.1-pro-preview',
+    provider: 'gemini',
+    label: 'Gemini 3.1 Pro',
+    description: 'Most accurate, slower processing',
+    pricing: { input: 1.25, output: 10.00 },
+    maxConcurrent: 8,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['claude-sonnet-4-6', 'gpt-4o']
+  },
+  {
+    id: 'claude-opus-4-8',
+    provider: 'claude',
+    label: 'Claude Opus 4',
+    description: 'Highest accuracy, slower processing',
+    pricing: { input: 15.00, output: 75.00 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['gemini-3.1-pro-preview', 'gpt-4o']
+  },
+  {
+    id: 'claude-sonnet-4-6',
+    provider: 'claude',
+    label: 'Claude Sonnet 4',
+    description: 'Balanced speed and accuracy',
+    pricing: { input: 3.00, output: 15.00 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['gemini-3.1-pro-preview', 'gpt-4o']
+  },
+  {
+    id: 'claude-haiku-4-5-20251001',
+    provider: 'claude',
+    label: 'Claude Haiku 4',
+    description: 'Fastest Claude model',
+    pricing: { input: 0.80, output: 4.00 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['gemini-3.5-flash', 'gpt-4o-mini']
+  },
+  {
+    id: 'gpt-4o',
+    provider: 'openai',
+    label: 'GPT-4o',
+    description: 'OpenAI multimodal, high accuracy',
+    pricing: { input: 2.50, output: 10.00 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['claude-sonnet-4-6', 'gemini-3.1-pro-preview']
+  },
+  {
+    id: 'gpt-4o-mini',
+    provider: 'openai',
+    label: 'GPT-4o Mini',
+    description: 'Fast and cost-effective',
+    pricing: { input: 0.15, output: 0.60 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true, structuredOutput: true },
+    fallbacks: ['gemini-3.5-flash', 'claude-haiku-4-5-20251001']
+  },
+  {
+    id: 'gpt-4-turbo',
+    provider: 'openai',
+    label: 'GPT-4 Turbo',
+    description: 'High accuracy, vision enabled',
+    pricing: { input: 10.00, output: 30.00 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true },
+    fallbacks: ['gpt-4o', 'claude-sonnet-4-6']
+  },
+  {
+    // Runs on this server - rule-based extraction from config/ocrRules.js
+    id: 'tesseract-ocr',
+    provider: 'tesseract',
+    label: 'Local OCR (Tesseract)',
+    description: 'On-server OCR with rule-based extraction, no API cost',
+    pricing: { input: 0, output: 0 },
+    maxConcurrent: 2,
+    capabilities: { vision: true, batchProcessing: true, local: true }
+  },
+  {
+    // AnalyzeDocument with TABLES + FORMS, billed per page
+    id: 'aws-textract',
+    provider: 'textract',
+    label: 'AWS Textract',
+    description: 'Table and form extraction, billed per page',
+    pricing: { input: 0, output: 0, perPage: 0.065 },
+    maxConcurrent: 5,
+    capabilities: { vision: true, batchProcessing: true }
+  },
+  {
+    // Local development and testing only - enable with MOCK_AI_ENABLED=true
+    // Free, so its simulated runs never count against spend budgets
+    id: 'mock-fixture',
+    provider: 'mock',
+    label: 'Mock Fixtures',
+    description: 'Deterministic offline fixtures, no API calls',
+    pricing: { input: 0, output: 0 },
+    maxConcurrent: 4,
+    capabilities: { vision: false, batchProcessing: true, local: true },
+    enabled: process.env.MOCK_AI_ENABLED === 'true'
+  }
+];
+
+module.exports = {
+  PROVIDERS,
+  MODELS,
+  DEFAULT_MODEL: 'gemini-3.1-flash-lite'
+};
@@ -0,0 +1,71 @@
+// Rules used by the local OCR provider to turn recognized text lines into items.
+// Lines are read top to bottom. A line matching a section heading switches the current
+// category; every other line is tried against the rules for that category (or all rules
+// before the first heading) and the first match becomes an item. Named groups are the
+// CAPITAL field names from config/categorySchemas.js.
+// Override with OCR_RULES_PATH pointing at a JSON file of the same shape, with patterns as strings.
+
+const NAME = "[A-Za-z][A-Za-z .,'-]*";
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const MONEY = '\\$?\\s?\\d[\\d,]*\\.\\d{2}';
+const DATE = '\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2}/\\d{2,4}';
+
+const OCR_RULES = {
+  // Headings that start a section of the document
+  sections: {
+    labourTimesheet: '^\\s*(labou?r\\s+)?time\\s?sheets?\\b',
+    equipmentLog: '^\\s*equipment\\s+(log|hours)\\b',
+    labour: '^\\s*(labou?r|personnel|manpower)\\b',
+    equipment: '^\\s*(equipment|rentals?)\\b',
+    material: '^\\s*materials?\\b',
+    consumables: '^\\s*(consumables?|supplies)\\b',
+    subtrade: '^\\s*(sub-?trades?|sub-?contract(or)?s?)\\b'
+  },
+
+  // Lines that are never items (headers, totals, tax lines)
+  ignore: [
+    '^\\s*(sub-?)?total\\b',
+    '^\\s*(gst|hst|pst|qst|tax)\\b',
+    '^\\s*(balance|amount due)\\b',
+    '^\\s*(name|description|item|unit|vendor)\\s+(trade|qty|quantity|hours|date|rate|amount)\\b'
+  ],
+
+  rules: [
+    {
+      category: 'labourTimesheet',
+      pattern: `^(?<WORKER_NAME>${NAME})\\s+(?<DATE>${DATE})\\s+(?<HOURS>${NUMBER})(?:\\s+(?<REGULAR_HOURS>${NUMBER})\\s+(?<OVERTIME_HOURS>${NUMBER}))?$`
+    },
+    {
+      category: 'equipmentLog',
+      pattern: `^(?<UNIT_ID>[A-Z]{1,4}-?\\d{1,5})\\s+(?:(?<DESCRIPTION>.+?)\\s+)?(?<DATE>${DATE})\\s+(?<HOURS>${NUMBER})$`
+    },
+    {
+      category: 'labour',
+      pattern: `^(?<WORKER_NAME>${NAME})\\s+(?<HOURS>${NUMBER})\\s*(?:h|hrs?|hours)\\s+(?<RATE>${MONEY})\\s+(?<AMOUNT>${MONEY})$`
+    },
+    {
+      category: 'labour',
+      pattern: `^(?<WORKER_NAME>${NAME})\\s+(?<HOURS>${NUMBER})\\s+(?<RATE>${MONEY})\\s+(?<AMOUNT>${MONEY})$`
+    },
+    {
+      category: 'equipment',
+      pattern: `^(?:(?<UNIT_ID>[A-Z]{1,4}-\\d{1,5})\\s+)?(?<DESCRIPTION>.+?)\\s+(?<QUANTITY>${NUMBER})\\s*(?:h|hrs?|hours|days?)?\\s+(?<RATE>${MONEY})\\s+(?<AMOUNT>${MONEY})$`
+    },
+    {
+      category: 'material',
+      pattern: `^(?<DESCRIPTION>.+?)\\s+(?<QUANTITY>${NUMBER})\\s+(?:(?<UNIT>[A-Za-z]{1,5})\\s+)?(?<UNIT_PRICE>${MONEY})\\s+(?<AMOUNT>${MONEY})$`
+    },
+    {
+      category: 'consumables',
+      pattern: `^(?<DESCRIPTION>.+?)\\s+(?<QUANTITY>${NUMBER})\\s+(?:(?<UNIT>[A-Za-z]{1,5})\\s+)?(?<UNIT_PRICE>${MONEY})\\s+(?<AMOUNT>${MONEY})$`
+    },
+    {
+      category: 'subtrade',
+      pattern: `^(?<VENDOR>.+?)\\s+(?:[Ii]nv(?:oice)?\\.?\\s*#?\\s*(?<INVOICE_NUMBER>[A-Z0-9-]+)\\s+)?(?:(?<DATE>${DATE})\\s+)?(?<AMOUNT>${MONEY})$`
+    }
+  ]
+};
+
+module.exports = {
+  OCR_RULES
+};
@@ -1,6 +1,8 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
+const { isBootstrapAdmin } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
 
 // IMPORTANT: Always use absolute backend URL for Google callback
 const callbackURL = `${process.env.BACKEND_URL}/api/auth/google/callback`;
@@ -17,10 +19,11 @@ passport.use(new GoogleStrategy({
     
     console.log('Google OAuth - Email received:', email);
     
-    // Check if email is from allowed domain
-    if (!email.endsWith('@gncgroup.ca')) {
+    // The email domain decides the organization; unknown domains cannot sign in
+    const organization = await organizationService.findForEmail(email);
+    if (!organization) {
       console.log('Domain not allowed:', email);
-      return done(null, false, { message: 'domain_not_allowed' });
+      return done(null, false, { message: 'domain_not_allowed', email });
     }
     
     // Find or create user
@@ -33,11 +36,18 @@ passport.use(new GoogleStrategy({
         email: email,
         name: profile.displayName,
         profilePicture: profile.photos?.[0]?.value,
+        organization: organization._id,
+        role: isBootstrapAdmin(email) ? 'admin' : 'user',
         lastLogin: new Date()
       });
     } else {
       console.log('Existing user logged in:', email);
       user.lastLogin = new Date();
+      // Follow the domain when it has moved to another organization
+      if (String(user.organization) !== String(organization._id)) {
+        console.log(`Moving ${email} to organization ${organization.name}`);
+        user.organization = organization._id;
+      }
       await user.save();
     }
     
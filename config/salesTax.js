@@ -0,0 +1,27 @@
+// Canadian sales tax rates by province/territory (percent).
+// HST provinces charge a single harmonized tax; GST provinces may add PST, RST or QST on top.
+// QST is calculated on the pre-GST amount (no tax-on-tax since 2013).
+
+const SALES_TAX_RATES = {
+  AB: { name: 'Alberta', taxes: [{ type: 'GST', rate: 5 }] },
+  BC: { name: 'British Columbia', taxes: [{ type: 'GST', rate: 5 }, { type: 'PST', rate: 7 }] },
+  MB: { name: 'Manitoba', taxes: [{ type: 'GST', rate: 5 }, { type: 'PST', rate: 7 }] },
+  NB: { name: 'New Brunswick', taxes: [{ type: 'HST', rate: 15 }] },
+  NL: { name: 'Newfoundland and Labrador', taxes: [{ type: 'HST', rate: 15 }] },
+  NS: { name: 'Nova Scotia', taxes: [{ type: 'HST', rate: 14 }] },
+  NT: { name: 'Northwest Territories', taxes: [{ type: 'GST', rate: 5 }] },
+  NU: { name: 'Nunavut', taxes: [{ type: 'GST', rate: 5 }] },
+  ON: { name: 'Ontario', taxes: [{ type: 'HST', rate: 13 }] },
+  PE: { name: 'Prince Edward Island', taxes: [{ type: 'HST', rate: 15 }] },
+  QC: { name: 'Quebec', taxes: [{ type: 'GST', rate: 5 }, { type: 'QST', rate: 9.975 }] },
+  SK: { name: 'Saskatchewan', taxes: [{ type: 'GST', rate: 5 }, { type: 'PST', rate: 6 }] },
+  YT: { name: 'Yukon', taxes: [{ type: 'GST', rate: 5 }] }
+};
+
+const DEFAULT_PROVINCE = (process.env.DEFAULT_PROVINCE || 'ON').toUpperCase();
+
+module.exports = {
+  SALES_TAX_RATES,
+  DEFAULT_PROVINCE,
+  PROVINCES: Object.keys(SALES_TAX_RATES)
+};
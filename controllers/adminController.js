@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ExtractionRun = require('../models/ExtractionRun');
+const spendService = require('../services/spendService');
+const auditService = require('../services/auditService');
+const tokenService = require('../services/tokenService');
+const { ROLES, isBootstrapAdmin } = require('../middleware/auth');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const USER_FIELDS = 'email name firstName lastName profilePicture role isActive isServiceAccount lastLogin createdAt updatedAt';
+
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  profilePicture: user.profilePicture,
+  role: user.role,
+  isActive: user.isActive,
+  isServiceAccount: user.isServiceAccount,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Target user of an admin action in the admin's organization, sending the 404 response when missing
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findOne({ _id: userId, organization: req.user.organization })
+    : null;
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// All users of the admin's organization, including deactivated ones. Query: role, active=true|false
+exports.listUsers = async (req, res) => {
+  try {
+    const filter = { organization: req.user.organization };
+    if (req.query.role) {
+      if (!ROLES.includes(req.query.role)) {
+        return res.status(400).json({
+          error: 'Invalid role',
+          message: `Role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      filter.role = req.query.role;
+    }
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const users = await User.find(filter).select(USER_FIELDS).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      users: users.map(formatUser),
+      count: users.length,
+      roles: ROLES
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      message: error.message
+    });
+  }
+};
+
+// Change a user's role
+exports.setUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        error: 'Invalid role change',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (role !== 'admin' && isBootstrapAdmin(user.email)) {
+      return res.status(400).json({
+        error: 'Invalid role change',
+        message: `${user.email} is listed in ADMIN_EMAILS and is always an admin`
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    console.log(`Role of ${user.email} changed from ${previousRole} to ${role} by ${req.user.email}`);
+    await auditService.record({
+      req,
+      action: 'user.role_change',
+      target: { type: 'user', id: String(user._id) },
+      details: { email: user.email, from: previousRole, to: role }
+    });
+
+    res.json({ success: true, user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin set role error:', error);
+    res.status(500).json({
+      error: 'Failed to change role',
+      message: error.message
+    });
+  }
+};
+
+const setActive = (isActive) => async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!isActive && user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        error: 'Invalid status change',
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    // Deactivation also ends every sign-in, so open tabs stop refreshing
+    if (!isActive) {
+      await tokenService.revokeAllForUser(user._id, 'deactivated');
+    }
+
+    console.log(`User ${user.email} ${isActive ? 'activated' : 'deactivated'} by ${req.user.email}`);
+    await auditService.record({
+      req,
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      target: { type: 'user', id: String(user._id) },
+      details: { email: user.email }
+    });
+
+    res.json({ success: true, user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin user status error:', error);
+    res.status(500).json({
+      error: `Failed to ${isActive ? 'activate' : 'deactivate'} user`,
+      message: error.message
+    });
+  }
+};
+
+// Deactivated users are refused by requireAuth on their next request
+exports.activateUser = setActive(true);
+exports.deactivateUser = setActive(false);
+
+// Sign a user out everywhere: revokes their refresh tokens and every access token issued so far
+exports.revokeSessions = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await tokenService.revokeAllForUser(user._id, 'admin');
+
+    console.log(`All sessions of ${user.email} revoked by ${req.user.email} (${revoked} sign-ins)`);
+    await auditService.record({
+      req,
+      action: 'user.revoke_sessions',
+      target: { type: 'user', id: String(user._id) },
+      details: { email: user.email, revoked }
+    });
+
+    res.json({ success: true, revoked, message: `Revoked ${revoked} sign-in(s) of ${user.email}` });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
+};
+
+// Runs, pages, items and AI spend per user of the admin's organization. Query: from / to months (YYYY-MM, default this month)
+exports.getUsage = async (req, res) => {
+  try {
+    const from = req.query.from || spendService.currentMonth();
+    const to = req.query.to || from;
+    if (!MONTH_PATTERN.test(from) || !MONTH_PATTERN.test(to)) {
+      return res.status(400).json({
+        error: 'Invalid month',
+        message: 'from and to must be months in YYYY-MM format'
+      });
+    }
+
+    const start = new Date(`${from}-01T00:00:00Z`);
+    const end = new Date(`${to}-01T00:00:00Z`);
+    end.setUTCMonth(end.getUTCMonth() + 1);
+
+    const organization = new mongoose.Types.ObjectId(req.user.organization);
+    const [runs, spend, users] = await Promise.all([
+      ExtractionRun.aggregate([
+        { $match: { organization, createdAt: { $gte: start, $lt: end } } },
+        {
+          $group: {
+            _id: '$user',
+            runs: { $sum: 1 },
+            failedRuns: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+            pages: { $sum: '$totalPages' },
+            items: { $sum: '$totalItems' },
+            lastRunAt: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      spendService.getSpend({ organization, from, to, groupBy: ['user'] }),
+      User.find({ organization }).select('email name role isActive').lean()
+    ]);
+
+    const usage = new Map();
+    const entryFor = (userId) => {
+      const key = String(userId);
+      if (!usage.has(key)) {
+        const user = users.find(candidate => String(candidate._id) === key);
+        usage.set(key, {
+          userId: key,
+          email: user?.email,
+          name: user?.name,
+          role: user?.role,
+          isActive: user?.isActive,
+          runs: 0,
+          failedRuns: 0,
+          pages: 0,
+          items: 0,
+          cost: 0,
+          savedCost: 0
+        });
+      }
+      return usage.get(key);
+    };
+
+    runs.forEach(row => {
+      Object.assign(entryFor(row._id), {
+        runs: row.runs,
+        failedRuns: row.failedRuns,
+        pages: row.pages,
+        items: row.items,
+        lastRunAt: row.lastRunAt
+      });
+    });
+    spend.groups.forEach(group => {
+      Object.assign(entryFor(group.user), { cost: group.cost, savedCost: group.savedCost });
+    });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      currency: 'USD',
+      totals: {
+        runs: runs.reduce((sum, row) => sum + row.runs, 0),
+        pages: runs.reduce((sum, row) => sum + row.pages, 0),
+        cost: spend.totals.cost,
+        savedCost: spend.totals.savedCost
+      },
+      users: Array.from(usage.values()).sort((a, b) => b.cost - a.cost || b.runs - a.runs)
+    });
+  } catch (error) {
+    console.error('Admin usage error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch usage',
+      message: error.message
+    });
+  }
+};
+
+// Audit log of the admin's organization, newest first. Query: userId, action (comma-separated, e.g. processing or export.run),
+// outcome, from / to (ISO dates; a bare to date includes that whole day), page, limit
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { userId, action, outcome } = req.query;
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user', message: 'userId is not a valid user id' });
+    }
+    if (outcome && !auditService.OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        error: 'Invalid outcome',
+        message: `outcome must be one of: ${auditService.OUTCOMES.join(', ')}`
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be ISO dates (YYYY-MM-DD or a full timestamp)'
+      });
+    }
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCDate(to.getUTCDate() + 1);
+      to.setUTCMilliseconds(-1);
+    }
+
+    const result = await auditService.query({
+      organization: req.user.organization,
+      userId,
+      action,
+      outcome,
+      from,
+      to,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+};
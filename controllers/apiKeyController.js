@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const organizationService = require('../services/organizationService');
+
+// Same rule as the User model
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+$/;
+
+// Ids of every user (and service account) in the admin's organization
+const organizationUserIds = (req) => User.find({ organization: req.user.organization }).distinct('_id');
+
+// Validated { name, scopes, expiresInDays } from the body, sending the 400 response on failure
+const readKeyBody = (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    res.status(400).json({ error: 'Name required', message: 'Give the key a name, e.g. the script or device using it' });
+    return null;
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !apiKeyService.SCOPES.includes(scope))) {
+    res.status(400).json({
+      error: 'Invalid scopes',
+      message: `scopes must be a list of: ${apiKeyService.SCOPES.join(', ')}`
+    });
+    return null;
+  }
+
+  const days = expiresInDays === undefined || expiresInDays === null ? null : parseFloat(expiresInDays);
+  if (days !== null && (isNaN(days) || days <= 0)) {
+    res.status(400).json({ error: 'Invalid expiry', message: 'expiresInDays must be a positive number of days' });
+    return null;
+  }
+
+  return { name: name.trim(), scopes: [...new Set(scopes)], expiresInDays: days };
+};
+
+const createKeyFor = async (req, res, user) => {
+  const body = readKeyBody(req, res);
+  if (!body) return;
+
+  if (await apiKeyService.countActiveKeys(user._id) >= apiKeyService.MAX_PER_USER) {
+    return res.status(409).json({
+      error: 'Too many API keys',
+      message: `An account can hold at most ${apiKeyService.MAX_PER_USER} active API keys - revoke one first`
+    });
+  }
+
+  const created = await apiKeyService.createKey({ userId: user._id, ...body, createdBy: req.user.email });
+
+  console.log(`API key ${created.apiKey.prefix} (${body.scopes.join(', ')}) created for ${user.email} by ${req.user.email}`);
+  await auditService.record({
+    req,
+    action: 'apikey.create',
+    target: { type: 'apiKey', id: String(created.apiKey.id) },
+    details: { owner: user.email, name: body.name, prefix: created.apiKey.prefix, scopes: body.scopes }
+  });
+
+  res.status(201).json({
+    success: true,
+    key: created.key,
+    apiKey: created.apiKey,
+    message: 'Store this key now - it cannot be shown again'
+  });
+};
+
+// owner is { userId } for the user's own keys or { userIds } for an admin's organization
+const revoke = async (req, res, owner) => {
+  const { keyId } = req.params;
+  const apiKey = mongoose.isValidObjectId(keyId)
+    ? await apiKeyService.revokeKey({ keyId, ...owner, revokedBy: req.user.email })
+    : null;
+
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  console.log(`API key ${apiKey.prefix} revoked by ${req.user.email}`);
+  await auditService.record({
+    req,
+    action: 'apikey.revoke',
+    target: { type: 'apiKey', id: String(apiKey.id) },
+    details: { prefix: apiKey.prefix, name: apiKey.name }
+  });
+
+  res.json({ success: true, apiKey });
+};
+
+// Current user's keys
+exports.listMyKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys({ userId: req.user.id });
+    res.json({ success: true, keys, scopes: apiKeyService.SCOPES });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+};
+
+// Create a key for the current user. Body: name, scopes, optional expiresInDays
+exports.createMyKey = async (req, res) => {
+  try {
+    await createKeyFor(req, res, { _id: req.user.id, email: req.user.email });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+};
+
+exports.revokeMyKey = async (req, res) => {
+  try {
+    await revoke(req, res, { userId: req.user.id });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+};
+
+// Every key in the admin's organization with its owner (admin)
+exports.listAllKeys = async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user', message: 'userId is not a valid user id' });
+    }
+
+    let userIds = await organizationUserIds(req);
+    if (userId) userIds = userIds.filter(id => String(id) === userId);
+
+    const keys = await apiKeyService.listKeys({ userIds });
+    res.json({ success: true, keys, count: keys.length });
+  } catch (error) {
+    console.error('Admin list API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+};
+
+// Revoke any key in the admin's organization (admin)
+exports.revokeKey = async (req, res) => {
+  try {
+    await revoke(req, res, { userIds: await organizationUserIds(req) });
+  } catch (error) {
+    console.error('Admin revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+};
+
+exports.listServiceAccounts = async (req, res) => {
+  try {
+    const accounts = await User.find({ isServiceAccount: true, organization: req.user.organization })
+      .select('email name role isActive createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, accounts, count: accounts.length });
+  } catch (error) {
+    console.error('List service accounts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch service accounts',
+      message: error.message
+    });
+  }
+};
+
+// Create a service account in the admin's organization. Body: name, email (an address in one of the
+// organization's domains, identifying it in runs and logs)
+exports.createServiceAccount = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (typeof name !== 'string' || !name.trim() || !email) {
+      return res.status(400).json({
+        error: 'Name and email required',
+        message: 'Provide a name and an email in one of your organization\'s domains for the service account'
+      });
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'Invalid service account', message: `${email} is not a valid email address` });
+    }
+
+    const organization = await organizationService.getOrganization(req.user.organization);
+    if (!organization.domains.includes(organizationService.emailDomain(email))) {
+      return res.status(400).json({
+        error: 'Invalid service account',
+        message: `The email must be in one of your organization's domains: ${organization.domains.join(', ')}`
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: 'Email in use', message: `${email} already belongs to an account` });
+    }
+
+    const account = await User.create({
+      googleId: `service-account:${crypto.randomUUID()}`,
+      email,
+      name: name.trim(),
+      organization: organization._id,
+      isServiceAccount: true,
+      role: 'user'
+    });
+
+    console.log(`Service account ${account.email} created by ${req.user.email}`);
+    await auditService.record({
+      req,
+      action: 'user.service_account_create',
+      target: { type: 'user', id: String(account._id) },
+      details: { email: account.email, name }
+    });
+
+    res.status(201).json({
+      success: true,
+      account: { id: account._id, email: account.email, name: account.name, role: account.role, isActive: account.isActive }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Invalid service account', message: error.message });
+    }
+    console.error('Create service account error:', error);
+    res.status(500).json({
+      error: 'Failed to create service account',
+      message: error.message
+    });
+  }
+};
+
+// Create a key for a service account (admin). Body: name, scopes, optional expiresInDays
+exports.createServiceAccountKey = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const account = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId, isServiceAccount: true, organization: req.user.organization })
+      : null;
+
+    if (!account) {
+      return res.status(404).json({ error: 'Service account not found' });
+    }
+
+    await createKeyFor(req, res, account);
+  } catch (error) {
+    console.error('Create service account key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const resultCache = require('../services/resultCache');
+
+// Result cache size and hit counts for the admin's organization
+exports.getCacheStats = async (req, res) => {
+  try {
+    const stats = await resultCache.getStats({ organization: req.user.organization });
+    res.json({ success: true, cache: stats });
+  } catch (error) {
+    console.error('Cache stats error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cache stats',
+      message: error.message
+    });
+  }
+};
+
+// Remove the organization's cached results (admin). Filters from the body or query string:
+// imageHash or image (base64), model, promptId; all: true clears the organization's whole cache.
+exports.invalidateCache = async (req, res) => {
+  try {
+    const source = { ...req.query, ...req.body };
+    const { imageHash, image, model, promptId } = source;
+    const all = source.all === true || source.all === 'true';
+
+    if (promptId && !mongoose.isValidObjectId(promptId)) {
+      return res.status(400).json({
+        error: 'Invalid prompt',
+        message: 'promptId is not a valid prompt id'
+      });
+    }
+
+    let deletedCount;
+    try {
+      deletedCount = await resultCache.invalidate({ organization: req.user.organization, imageHash, image, model, promptId, all });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Filter required',
+        message: error.message
+      });
+    }
+
+    console.log(`Result cache invalidated by ${req.user.email}: ${deletedCount} entries (${JSON.stringify({ imageHash, model, promptId, all, image: image ? 'provided' : undefined })})`);
+
+    res.json({
+      success: true,
+      deletedCount,
+      message: `Removed ${deletedCount} cached result(s)`
+    });
+  } catch (error) {
+    console.error('Cache invalidation error:', error);
+    res.status(500).json({
+      error: 'Failed to invalidate cache',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,158 @@
+const ExtractedItem = require('../models/ExtractedItem');
+const extractionRunService = require('../services/extractionRunService');
+const excelExportService = require('../services/excelExportService');
+const auditService = require('../services/auditService');
+
+const countPageItems = (pageData) => {
+  return Object.values(pageData || {}).reduce((sum, items) => sum + (Array.isArray(items) ? items.length : 0), 0);
+};
+
+const timestamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// What is wrong with an export request body, or null when its shapes can be exported
+const invalidExportBody = ({ collectedResult, allPagesData, pageData, apiCost, totals, filename }) => {
+  const badCategories = excelExportService.CATEGORY_SHEETS
+    .map(({ key }) => key)
+    .filter(key => collectedResult[key] !== undefined && collectedResult[key] !== null
+      && (!Array.isArray(collectedResult[key]) || !collectedResult[key].every(isObject)));
+  if (badCategories.length > 0) {
+    return `collectedResult categories must be lists of items: ${badCategories.join(', ')}`;
+  }
+  if (allPagesData !== undefined && allPagesData !== null && (!Array.isArray(allPagesData) || !allPagesData.every(isObject))) {
+    return 'allPagesData must be a list of page objects';
+  }
+  if (pageData !== undefined && pageData !== null && !isObject(pageData)) {
+    return 'pageData must be a page object';
+  }
+  if ((apiCost !== undefined && apiCost !== null && !isObject(apiCost)) || (totals !== undefined && totals !== null && !isObject(totals))) {
+    return 'apiCost and totals must be objects';
+  }
+  if (filename !== undefined && filename !== null && typeof filename !== 'string') {
+    return 'filename must be text';
+  }
+  return null;
+};
+
+// Download name from the requested filename: safe characters only, always ending in .xlsx
+const exportFilenameFor = (filename) => {
+  const baseName = (filename || '').trim().replace(/\.xlsx$/i, '').replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^[._]+/, '').substring(0, 100);
+  return `${baseName || `extraction-${timestamp()}`}.xlsx`;
+};
+
+// Export a result the frontend already holds (the SSE "complete" payload)
+exports.exportResults = async (req, res) => {
+  try {
+    const {
+      collectedResult,
+      allPagesData,
+      pageData,
+      apiCost,
+      totals,
+      modelUsed,
+      processedAt,
+      filename
+    } = req.body;
+
+    if (!isObject(collectedResult)) {
+      return res.status(400).json({
+        error: 'Results required',
+        message: 'Please provide the collectedResult from a completed processing session'
+      });
+    }
+
+    const invalid = invalidExportBody(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid export data', message: invalid });
+    }
+
+    const pages = (allPagesData || (pageData ? [pageData] : [])).map(page => ({
+      pageNumber: page.pageNumber,
+      model: page.model,
+      error: page.error,
+      itemCount: countPageItems(page.data),
+      droppedCount: page.droppedCount
+    }));
+
+    const workbook = excelExportService.buildWorkbook({
+      collectedResult,
+      pages,
+      apiCost,
+      totals,
+      model: modelUsed,
+      processedBy: req.user.email,
+      processedAt: processedAt || new Date().toISOString()
+    });
+
+    const exportFilename = exportFilenameFor(filename);
+    await excelExportService.sendWorkbook(res, workbook, exportFilename);
+
+    await auditService.record({
+      req,
+      action: 'export.results',
+      details: {
+        filename: exportFilename,
+        model: modelUsed,
+        pages: pages.length,
+        items: countPageItems(collectedResult)
+      }
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to export results',
+        message: error.message
+      });
+    }
+  }
+};
+
+// Export a persisted run
+exports.exportRun = async (req, res) => {
+  try {
+    const run = await extractionRunService.findUserRun(req.params.runId, req.user.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    // Items rejected in review are left out
+    const items = await ExtractedItem.find({ run: run._id, reviewStatus: { $ne: 'rejected' } })
+      .sort({ pageNumber: 1, category: 1, position: 1 });
+
+    const workbook = excelExportService.buildWorkbook({
+      collectedResult: extractionRunService.buildCollectedResult(items),
+      pages: [...run.pages].sort((a, b) => a.pageNumber - b.pageNumber),
+      apiCost: run.apiCost,
+      totals: run.totals,
+      model: run.model,
+      processedBy: run.userEmail,
+      processedAt: run.completedAt || run.createdAt,
+      runId: run._id,
+      review: { status: run.reviewStatus, approvedBy: run.approvedBy, approvedAt: run.approvedAt }
+    });
+
+    const baseName = run.sourceFile?.filename
+      ? run.sourceFile.filename.replace(/\.pdf$/i, '')
+      : `run-${run._id}`;
+
+    await excelExportService.sendWorkbook(res, workbook, `${baseName}.xlsx`);
+
+    await auditService.record({
+      req,
+      action: 'export.run',
+      target: { type: 'run', id: String(run._id) },
+      details: { filename: `${baseName}.xlsx`, items: items.length }
+    });
+  } catch (error) {
+    console.error('Run export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to export run',
+        message: error.message
+      });
+    }
+  }
+};
@@ -1,46 +1,22 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const geminiService = require('../services/geminiService');
-const claudeService = require('../services/claudeService');
-const openaiService = require('../services/openaiService');
-
-const CLAUDE_MODELS = ['claude-opus-4-8', 'claude-sonnet-4-6', 'claude-haiku-4-5-20251001'];
-const OPENAI_MODELS = ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
-const getAIService = (model) => {
-  if (CLAUDE_MODELS.includes(model)) return claudeService;
-  if (OPENAI_MODELS.includes(model)) return openaiService;
-  return geminiService;
-};
-
-const MODEL_PRICING = {
-  'gemini-3.1-flash-lite': { input: 0.10, output: 0.40 },
-  'gemini-3.5-flash': { input: 0.15, output: 0.60 },
-  'gemini-3.1-pro-preview':   { input: 1.25, output: 10.00 },
-  'claude-opus-4-8':  { input: 15.00, output: 75.00 },
-  'claude-sonnet-4-6':{ input: 3.00, output: 15.00 },
-  'claude-haiku-4-5-20251001': { input: 0.80, output: 4.00 },
-  'gpt-4o':           { input: 2.50, output: 10.00 },
-  'gpt-4o-mini':      { input: 0.15, output: 0.60 },
-  'gpt-4-turbo':      { input: 10.00, output: 30.00 }
-};
-
-const calculateApiCost = (model, inputTokens, outputTokens) => {
-  const pricing = MODEL_PRICING[model] || { input: 0, output: 0 };
-  const inputCost = (inputTokens / 1_000_000) * pricing.input;
-  const outputCost = (outputTokens / 1_000_000) * pricing.output;
-  return {
-    model,
-    inputTokens,
-    outputTokens,
-    inputCost: parseFloat(inputCost.toFixed(6)),
-    outputCost: parseFloat(outputCost.toFixed(6)),
-    totalCost: parseFloat((inputCost + outputCost).toFixed(6)),
-    currency: 'USD'
-  };
-};
+const modelRegistry = require('../services/modelRegistry');
+const { calculateApiCost } = modelRegistry;
 const calculationService = require('../services/calculationService');
 const sessionStore = require('../services/sessionStore');
+const extractionRunService = require('../services/extractionRunService');
+const pdfService = require('../services/pdfService');
+const promptService = require('../services/promptService');
+const consensusService = require('../services/consensusService');
+const failoverService = require('../services/failoverService');
+const resultCache = require('../services/resultCache');
+const spendService = require('../services/spendService');
+const auditService = require('../services/auditService');
+const jobManager = require('../services/jobManager');
+const sseStream = require('../services/sseStream');
+const { SALES_TAX_RATES, DEFAULT_PROVINCE, PROVINCES } = require('../config/salesTax');
+const { hasRole } = require('../middleware/auth');
 
 // User-isolated processing sessions
 const activeProcessingSessions = new Map();
@@ -107,6 +83,158 @@ class ImageProcessingManager {
 
 const processingManager = new ImageProcessingManager();
 
+// Resolve raw prompt text or a saved library prompt, sending the 400 response on failure
+const resolveRequestPrompt = async (req, res) => {
+  const { prompt, promptId, promptVersion } = req.body;
+
+  let resolved;
+  try {
+    resolved = await promptService.resolvePrompt({ prompt, promptId, promptVersion, organization: req.user.organization });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid prompt',
+      message: error.message
+    });
+    return null;
+  }
+
+  if (!resolved) {
+    res.status(400).json({
+      error: 'Prompt required',
+      message: 'Please provide a prompt or a promptId for data extraction'
+    });
+    return null;
+  }
+
+  return resolved;
+};
+
+// Province for sales tax and mismatch tolerance, sending the 400 response on failure
+const getCalculationOptions = (req, res) => {
+  const province = String(req.body.province || DEFAULT_PROVINCE).toUpperCase();
+  if (!SALES_TAX_RATES[province]) {
+    res.status(400).json({
+      error: 'Invalid province',
+      message: `Province must be one of: ${PROVINCES.join(', ')}`
+    });
+    return null;
+  }
+
+  const options = { province };
+  if (req.body.tolerance !== undefined && req.body.tolerance !== '') {
+    const tolerance = parseFloat(req.body.tolerance);
+    if (isNaN(tolerance) || tolerance < 0) {
+      res.status(400).json({
+        error: 'Invalid tolerance',
+        message: 'Tolerance must be a non-negative dollar amount'
+      });
+      return null;
+    }
+    options.tolerance = tolerance;
+  }
+
+  return options;
+};
+
+// Models for consensus mode (`consensus: ["model-a", "model-b"]`, comma-separated in PDF form
+// uploads). Empty when not requested; sends the 400 response and returns null when invalid.
+const getConsensusModels = (req, res) => {
+  let { consensus } = req.body;
+  if (consensus === undefined || consensus === null || consensus === '' || consensus === false) return [];
+  if (typeof consensus === 'string') {
+    consensus = consensus.split(',').map(model => model.trim()).filter(Boolean);
+  }
+
+  const error = consensusService.validateModels(consensus);
+  if (error) {
+    res.status(400).json({
+      error: 'Invalid consensus models',
+      message: error
+    });
+    return null;
+  }
+
+  return consensus;
+};
+
+// Pre-flight monthly budget check for pageCount pages. Returns the check, whose model is the one
+// to use (a cheaper one when the budget downgrades), or null after sending the 402 response.
+const applyBudget = async (req, res, { model, consensusModels, pageCount, prompt, promptRef }) => {
+  const budget = await spendService.checkBudget({
+    userId: req.user.id,
+    organization: req.user.organization,
+    model,
+    consensusModels,
+    pageCount
+  });
+  if (!budget.allowed) {
+    await auditService.record({
+      req,
+      action: 'processing.request',
+      outcome: 'refused',
+      details: {
+        model,
+        consensusModels: consensusModels.length > 0 ? consensusModels : undefined,
+        pageCount,
+        promptHash: auditService.hashPrompt(prompt),
+        promptId: promptRef?.promptId,
+        promptVersion: promptRef?.version,
+        estimate: budget.estimate,
+        error: budget.message
+      }
+    });
+    res.status(402).json({
+      error: 'Budget exceeded',
+      message: budget.message,
+      estimate: budget.estimate,
+      budgets: budget.budgets
+    });
+    return null;
+  }
+  return budget;
+};
+
+// Notice for the status event when the budget switched the request to a cheaper model
+const budgetDowngradeNotice = (budget) => {
+  if (!budget.downgradedFrom) return undefined;
+  return { from: budget.downgradedFrom, to: budget.model, estimate: budget.estimate, message: budget.message };
+};
+
+// `bypassCache: true` re-analyzes pages that are in the result cache (the entries are refreshed)
+const isCacheBypassed = (req) => req.body.bypassCache === true || req.body.bypassCache === 'true';
+
+// Consensus and failover results carry their cost priced per model called; otherwise it comes from token usage
+const resultApiCost = (result, model) => {
+  if (result?.apiCost) return result.apiCost;
+  return calculateApiCost(model, result?.usage?.inputTokens || 0, result?.usage?.outputTokens || 0, result?.usage?.pages || 0);
+};
+
+// Item agreement counts across the pages of a consensus run
+const summarizeConsensus = (consensusModels, pageSummaries) => {
+  const summary = { models: consensusModels, agreedItems: 0, disputedItems: 0, partialItems: 0 };
+  pageSummaries.filter(Boolean).forEach(page => {
+    summary.agreedItems += page.agreedItems;
+    summary.disputedItems += page.disputedItems;
+    summary.partialItems += page.partialItems;
+  });
+  return summary;
+};
+
+// Stamp page, session and prompt metadata onto every extracted item
+const stampPageItems = (pageResult, { pageNumber, sessionId, userId, model, promptRef }) => {
+  Object.keys(pageResult).forEach(category => {
+    pageResult[category].forEach(item => {
+      item.PAGE_NUMBER = pageNumber;
+      item.SESSION_ID = sessionId;
+      item.USER_ID = userId;
+      item.MODEL_USED = model;
+      item.PROMPT_USED = true; // Always true since a prompt is required
+      item.PROMPT_ID = promptRef ? promptRef.promptId : null;
+      item.PROMPT_VERSION = promptRef ? promptRef.version : null;
+    });
+  });
+};
+
 // Store and manage uploaded images
 const imageStorage = new Map(); // sessionId -> { images: [], metadata: {} }
 
@@ -114,6 +242,7 @@ const imageStorage = new Map(); // sessionId -> { images: [], metadata: {} }
 exports.processImage = async (req, res) => {
   const userId = req.user.id;
   const userEmail = req.user.email;
+  const organization = req.user.organization;
   const sessionId = generateSessionId(userId);
   
   // Check user limits
@@ -128,6 +257,7 @@ exports.processImage = async (req, res) => {
 
   let shouldCancel = false;
   let isCleanedUp = false;
+  let run = null;
 
   const safeCleanup = (reason) => {
     if (!isCleanedUp) {
@@ -144,8 +274,7 @@ exports.processImage = async (req, res) => {
     const { 
       image, 
       pageNumber = 1, 
-      model = 'gemini-3.1-flash-lite',
-      prompt // Required from frontend
+      model: requestedModel = modelRegistry.getDefaultModel()
     } = req.body;
    
     if (!image) {
@@ -155,28 +284,39 @@ exports.processImage = async (req, res) => {
       });
     }
 
-    if (!prompt) {
-      return res.status(400).json({
-        error: 'Prompt required',
-        message: 'Please provide a prompt for data extraction'
-      });
-    }
+    // Prompt text from frontend, or a versioned prompt from the library
+    const resolvedPrompt = await resolveRequestPrompt(req, res);
+    if (!resolvedPrompt) return;
+    const prompt = resolvedPrompt.text;
+    const promptRef = resolvedPrompt.promptRef;
+
+    const calculationOptions = getCalculationOptions(req, res);
+    if (!calculationOptions) return;
+
+    const consensusModels = getConsensusModels(req, res);
+    if (!consensusModels) return;
+    const selectedModel = consensusModels.length > 0 ? consensusModels.join('+') : requestedModel;
 
     // Validate model
-    const allowedModels = ['gemini-3.1-flash-lite', 'gemini-3.5-flash', 'gemini-3.1-pro-preview', 'claude-opus-4-8', 'claude-sonnet-4-6', 'claude-haiku-4-5-20251001', 'gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
-    if (!allowedModels.includes(model)) {
+    if (consensusModels.length === 0 && !modelRegistry.isEnabled(selectedModel)) {
       return res.status(400).json({
         error: 'Invalid model',
-        message: `Model must be one of: ${allowedModels.join(', ')}`
+        message: `Model must be one of: ${modelRegistry.getEnabledModelIds().join(', ')}`
       });
     }
 
+    // Monthly budgets may refuse the request or switch it to a cheaper model
+    const budget = await applyBudget(req, res, { model: selectedModel, consensusModels, pageCount: 1, prompt, promptRef });
+    if (!budget) return;
+    const model = budget.model;
+
     // Start user processing
     processingManager.startUserProcessing(userId, sessionId);
 
     // Create session
     sessionStore.createSession(userId, sessionId, {
       userEmail: userEmail,
+      organization: organization,
       startTime: Date.now(),
       model: model,
       prompt: prompt, // Store the prompt from frontend
@@ -186,6 +326,7 @@ exports.processImage = async (req, res) => {
     activeProcessingSessions.set(sessionId, {
       userId: userId,
       userEmail: userEmail,
+      organization: organization,
       startTime: Date.now(),
       cancel: () => {
         shouldCancel = true;
@@ -216,7 +357,7 @@ exports.processImage = async (req, res) => {
     console.log(`User Email: ${userEmail}`);
     console.log(`Page Number: ${pageNumber}`);
     console.log(`Model: ${model}`);
-    console.log(`Prompt from frontend: Yes`);
+    console.log(`Prompt: ${promptRef ? `${promptRef.name} v${promptRef.version}` : 'From frontend'}`);
     console.log(`User Stats: ${JSON.stringify(processingManager.getUserStats(userId))}`);
 
     // Handle client disconnect
@@ -230,7 +371,22 @@ exports.processImage = async (req, res) => {
       safeCleanup('Response close');
     });
 
+    // Persist the run so results survive the browser tab
+    run = await extractionRunService.startRun({
+      sessionId,
+      userId,
+      userEmail,
+      organization,
+      mode: 'single',
+      model,
+      consensusModels: consensusModels.length > 0 ? consensusModels : undefined,
+      prompt,
+      promptRef,
+      totalPages: 1
+    });
+
     if (req.aborted || res.destroyed) {
+      await extractionRunService.finishRun(run, { status: 'cancelled' });
       safeCleanup('Request aborted before start');
       return;
     }
@@ -247,15 +403,18 @@ exports.processImage = async (req, res) => {
     res.write(`data: ${JSON.stringify({ 
       type: 'status', 
       sessionId: sessionId,
+      runId: run ? run._id : null,
       userId: userId,
       userEmail: userEmail,
       pageNumber: pageNumber,
       model: model,
+      budgetDowngrade: budgetDowngradeNotice(budget),
       userStats: processingManager.getUserStats(userId),
       message: `Starting image analysis for page ${pageNumber} using ${model}...` 
     })}\n\n`);
 
     if (shouldCancel) {
+      await extractionRunService.finishRun(run, { status: 'cancelled' });
       safeCleanup('Cancelled before processing');
       return res.end();
     }
@@ -267,12 +426,12 @@ exports.processImage = async (req, res) => {
 
     try {
       // Use prompt from frontend (required)
-      analysisResult = await getAIService(model).analyzeImage(
-        image,
-        pageNumber,
-        model,
-        prompt
-      );
+      // A page already analyzed with this prompt and model comes from the result cache
+      analysisResult = await resultCache.analyzeImage({ organization, image, model, prompt, promptRef, bypass: isCacheBypassed(req) }, () => {
+        return consensusModels.length > 0
+          ? consensusService.analyzeImage(image, pageNumber, consensusModels, prompt)
+          : failoverService.analyzeImage(image, pageNumber, model, prompt);
+      });
     } catch (error) {
       console.error(`Error analyzing image:`, error);
       analysisResult = {
@@ -282,44 +441,59 @@ exports.processImage = async (req, res) => {
       };
     }
 
-    if (shouldCancel) {
-      safeCleanup('Cancelled during analysis');
-      return res.end();
+    // Send analysis progress
+    if (!shouldCancel && !res.destroyed) {
+      res.write(`data: ${JSON.stringify({ 
+        type: 'analysis_complete',
+        sessionId: sessionId,
+        pageNumber: pageNumber,
+        model: model,
+        extractedCount: analysisResult.parsed ? analysisResult.parsed.length : 0,
+        modelUsed: analysisResult.modelUsed,
+        failover: analysisResult.failover,
+        consensus: analysisResult.consensus,
+        truncated: analysisResult.truncated,
+        continuations: analysisResult.continuations,
+        cached: analysisResult.cached,
+        message: analysisResult.cached
+          ? `Page ${pageNumber} loaded from cache. Found ${analysisResult.parsed.length} items.`
+          : analysisResult.truncated
+          ? `Page ${pageNumber} truncated - some rows may be missing. Found ${analysisResult.parsed.length} items.`
+          : `Analysis complete for page ${pageNumber}. Found ${analysisResult.parsed ? analysisResult.parsed.length : 0} items.` 
+      })}\n\n`);
     }
 
-    // Send analysis progress
-    res.write(`data: ${JSON.stringify({ 
-      type: 'analysis_complete',
-      sessionId: sessionId,
-      pageNumber: pageNumber,
-      model: model,
-      extractedCount: analysisResult.parsed ? analysisResult.parsed.length : 0,
-      message: `Analysis complete for page ${pageNumber}. Found ${analysisResult.parsed ? analysisResult.parsed.length : 0} items.` 
-    })}\n\n`);
+    // Sort, validate and report dropped items using calculation service
+    const pageAnalysis = calculationService.analyzePageData(analysisResult.parsed);
+    const pageResultWithPageNumber = pageAnalysis.data;
 
-    // Process extracted data using calculation service
-    const pageResultWithPageNumber = calculationService.processPageData(analysisResult.parsed);
-
-    // Add page number to all extracted items
-    Object.keys(pageResultWithPageNumber).forEach(category => {
-      pageResultWithPageNumber[category].forEach(item => {
-        item.PAGE_NUMBER = pageNumber;
-        item.SESSION_ID = sessionId;
-        item.USER_ID = userId;
-        item.MODEL_USED = model;
-        item.PROMPT_USED = true; // Always true since prompt is required from frontend
-      });
-    });
+    // Add page number to all extracted items - a fallback model may have produced them
+    const pageModel = analysisResult.modelUsed || model;
+    stampPageItems(pageResultWithPageNumber, { pageNumber, sessionId, userId, model: pageModel, promptRef });
+
+    // Extended amounts, mismatch flags, subtotals and sales tax
+    const totals = calculationService.calculatePageTotals(pageResultWithPageNumber, calculationOptions);
 
     const processedData = {
       pageNumber: pageNumber,
       data: pageResultWithPageNumber,
       rawOutput: analysisResult.raw,
       error: analysisResult.error,
+      droppedItems: pageAnalysis.droppedItems,
+      droppedCount: pageAnalysis.droppedCount,
+      validationSummary: pageAnalysis.validationSummary,
+      totals: totals,
+      ocr: analysisResult.ocr,
+      consensus: analysisResult.consensus,
+      failover: analysisResult.failover,
+      truncated: analysisResult.truncated,
+      continuations: analysisResult.continuations,
+      cached: analysisResult.cached,
       userId: userId,
       sessionId: sessionId,
-      model: model,
-      promptUsed: true // Always true since prompt is required
+      model: pageModel,
+      promptUsed: true, // Always true since prompt is required
+      promptRef: promptRef
     };
 
     // Prepare final result
@@ -336,14 +510,22 @@ exports.processImage = async (req, res) => {
     const processingStats = {
       totalItems: Object.values(finalResult).reduce((sum, arr) => sum + arr.length, 0),
       pageNumber: pageNumber,
-      modelUsed: model,
+      modelUsed: pageModel,
       promptUsed: true, // Always true since prompt is required from frontend
-      extractedItems: analysisResult.parsed ? analysisResult.parsed.length : 0
+      extractedItems: analysisResult.parsed ? analysisResult.parsed.length : 0,
+      droppedItems: pageAnalysis.droppedCount,
+      truncated: !!analysisResult.truncated,
+      continuations: analysisResult.continuations || 0,
+      cached: !!analysisResult.cached,
+      validationSummary: pageAnalysis.validationSummary
     };
+    if (consensusModels.length > 0) {
+      processingStats.consensus = summarizeConsensus(consensusModels, [analysisResult.consensus]);
+    }
 
     console.log(`\nIMAGE PROCESSING COMPLETE for user ${userEmail}`);
     console.log(`Page: ${pageNumber}`);
-    console.log(`Model used: ${model}`);
+    console.log(`Model used: ${pageModel}${pageModel !== model ? ` (failover from ${model})` : ''}`);
     console.log(`Processing Stats:`, processingStats);
     console.log(`Data Extracted:`);
     console.log(`- Labour items: ${finalResult.labour.length}`);
@@ -354,17 +536,42 @@ exports.processImage = async (req, res) => {
     console.log(`- Consumables items: ${finalResult.consumables.length}`);
     console.log(`- Subtrade items: ${finalResult.subtrade.length}`);
 
-    // Calculate API cost from token usage
-    const apiCost = calculateApiCost(
-      model,
-      analysisResult.usage?.inputTokens || 0,
-      analysisResult.usage?.outputTokens || 0
-    );
+    // Calculate API cost from token usage (per model called with consensus or failover)
+    const apiCost = resultApiCost(analysisResult, model);
+
+    // Persist even if the client went away - the analysis is already paid for
+    await extractionRunService.recordPage(run, {
+      pageNumber,
+      data: pageResultWithPageNumber,
+      rawOutput: analysisResult.raw,
+      error: analysisResult.error,
+      droppedItems: pageAnalysis.droppedItems,
+      validationSummary: pageAnalysis.validationSummary,
+      totals,
+      model: pageModel,
+      apiCost,
+      ocr: analysisResult.ocr,
+      consensus: analysisResult.consensus,
+      failover: analysisResult.failover,
+      truncated: analysisResult.truncated,
+      continuations: analysisResult.continuations,
+      cached: analysisResult.cached,
+      owner: { userId, userEmail, organization, sessionId }
+    });
+
+    if (shouldCancel) {
+      await extractionRunService.finishRun(run, { status: 'cancelled', apiCost });
+      safeCleanup('Cancelled during analysis');
+      return res.end();
+    }
+
+    await extractionRunService.finishRun(run, { status: 'completed', apiCost, totals });
 
     // Send final result
     res.write(`data: ${JSON.stringify({
       type: 'complete',
       sessionId: sessionId,
+      runId: run ? run._id : null,
       pageData: processedData,
       collectedResult: finalResult,
       pageNumber: pageNumber,
@@ -372,9 +579,11 @@ exports.processImage = async (req, res) => {
       processedAt: new Date().toISOString(),
       modelUsed: model,
       promptUsed: true, // Always true since prompt is required from frontend
+      promptRef: promptRef,
       userStats: processingManager.getUserStats(userId),
       processingStats: processingStats,
       apiCost: apiCost,
+      totals: totals,
       message: `Processing complete for page ${pageNumber} using ${model}!`
     })}\n\n`);
 
@@ -382,6 +591,7 @@ exports.processImage = async (req, res) => {
 
   } catch (error) {
     console.error(`\nIMAGE PROCESSING ERROR for user ${userEmail}:`, error);
+    await extractionRunService.finishRun(run, { status: 'failed', error: error.message });
     
     if (!res.headersSent) {
       res.write(`data: ${JSON.stringify({ 
@@ -399,142 +609,48 @@ exports.processImage = async (req, res) => {
   }
 };
 
-// Process multiple images in batch
-exports.processBatchImages = async (req, res) => {
-  const userId = req.user.id;
-  const userEmail = req.user.email;
-  const sessionId = generateSessionId(userId);
-  
-  // Check user limits
-  if (!processingManager.canUserStartProcessing(userId)) {
-    const stats = processingManager.getUserStats(userId);
-    return res.status(429).json({
-      error: 'Processing limit reached',
-      message: `User limit: ${stats.activeCount}/${stats.maxAllowed} active. Global: ${stats.globalActive}/${stats.globalMax} active. Please wait for current processing to complete.`,
-      userStats: stats
-    });
-  }
-
-  let shouldCancel = false;
-  let isCleanedUp = false;
-
-  const safeCleanup = (reason) => {
-    if (!isCleanedUp) {
-      console.log(`Cleanup triggered: ${reason}`);
-      isCleanedUp = true;
-      activeProcessingSessions.delete(sessionId);
-      processingManager.endUserProcessing(userId, sessionId);
-      imageStorage.delete(sessionId);
-    }
-  };
+// Batch analysis pipeline shared by the streaming and background job modes.
+// Every progress update goes through `emit`; `isCancelled` is polled between stages.
+const runBatchAnalysis = async (batch, emit, isCancelled) => {
+  const { sessionId, userId, userEmail, organization, images, model, consensusModels, prompt, promptRef, calculationOptions, sourceFile, bypassCache, budgetDowngrade } = batch;
+  let run = null;
 
   try {
-    const { 
-      images, 
-      model = 'gemini-3.1-flash-lite',
-      prompt // Required from frontend
-    } = req.body;
-  
-console.log(`Received prompt from frontend (batch): "${prompt}"`);
-    if (!images || !Array.isArray(images) || images.length === 0) {
-      return res.status(400).json({
-        error: 'Images required',
-        message: 'Please provide an array of images with pageNumber and base64 data'
-      });
-    }
-
-    if (!prompt) {
-      return res.status(400).json({
-        error: 'Prompt required',
-        message: 'Please provide a prompt for data extraction'
-      });
-    }
-
-    // Validate model
-    const allowedModels = ['gemini-3.1-flash-lite', 'gemini-3.5-flash', 'gemini-3.1-pro-preview', 'claude-opus-4-8', 'claude-sonnet-4-6', 'claude-haiku-4-5-20251001', 'gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
-    if (!allowedModels.includes(model)) {
-      return res.status(400).json({
-        error: 'Invalid model',
-        message: `Model must be one of: ${allowedModels.join(', ')}`
-      });
-    }
-
-    // Validate images array
-    for (const img of images) {
-      if (!img.image || !img.pageNumber) {
-        return res.status(400).json({
-          error: 'Invalid image data',
-          message: 'Each image must have "image" (base64) and "pageNumber" fields'
-        });
-      }
-    }
-
-    // Start user processing
-    processingManager.startUserProcessing(userId, sessionId);
-
-    // Create session
-    sessionStore.createSession(userId, sessionId, {
-      userEmail: userEmail,
-      startTime: Date.now(),
-      model: model,
-      prompt: prompt, // Store prompt from frontend
-      imageCount: images.length
-    });
-
-    activeProcessingSessions.set(sessionId, {
-      userId: userId,
-      userEmail: userEmail,
-      startTime: Date.now(),
-      cancel: () => {
-        shouldCancel = true;
-        console.log(`Cancellation requested for session: ${sessionId} (User: ${userEmail})`);
-      }
-    });
-
-    console.log('\n' + '='.repeat(70));
-    console.log('BATCH IMAGE PROCESSING REQUEST');
-    console.log('='.repeat(70));
-    console.log(`Session ID: ${sessionId}`);
-    console.log(`User ID: ${userId}`);
-    console.log(`User Email: ${userEmail}`);
-    console.log(`Total Images: ${images.length}`);
-    console.log(`Model: ${model}`);
-    console.log(`Prompt from frontend: Yes`);
-
-    // Handle client disconnect
-    req.on('close', () => {
-      shouldCancel = true;
-      safeCleanup('Client disconnect');
-    });
-
-    res.on('close', () => {
-      shouldCancel = true;
-      safeCleanup('Response close');
+    // Persist the run so results survive the browser tab
+    run = await extractionRunService.startRun({
+      sessionId,
+      userId,
+      userEmail,
+      organization,
+      mode: 'batch',
+      model,
+      consensusModels: consensusModels.length > 0 ? consensusModels : undefined,
+      prompt,
+      promptRef,
+      totalPages: images.length,
+      sourceFile
     });
 
-    // Set SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-    res.setHeader('X-Session-ID', sessionId);
-    res.setHeader('X-User-ID', userId);
-
     // Send initial status
-    res.write(`data: ${JSON.stringify({ 
-      type: 'status', 
+    emit({
+      type: 'status',
       sessionId: sessionId,
+      runId: run ? run._id : null,
       userId: userId,
       userEmail: userEmail,
       totalImages: images.length,
       model: model,
+      consensusModels: consensusModels.length > 0 ? consensusModels : undefined,
+      budgetDowngrade: budgetDowngrade,
+      sourceFile: sourceFile,
       userStats: processingManager.getUserStats(userId),
-      message: `Starting batch analysis of ${images.length} images using ${model}...` 
-    })}\n\n`);
+      message: `Starting batch analysis of ${images.length} images using ${model}...`
+    });
 
-    if (shouldCancel) {
-      safeCleanup('Cancelled before processing');
-      return res.end();
+    if (isCancelled()) {
+      await extractionRunService.finishRun(run, { status: 'cancelled' });
+      emit({ type: 'cancelled', sessionId, runId: run ? run._id : null, message: 'Processing cancelled before analysis started' });
+      return;
     }
 
     // Prepare images for analysis
@@ -543,31 +659,41 @@ console.log(`Received prompt from frontend (batch): "${prompt}"`);
       pageNumber: img.pageNumber
     }));
 
-    // Process all images
-    const analysisResults = await getAIService(model).analyzeImagesUltraFast(
-      imageData,
-      (completed, total, currentPage) => {
-        if (!shouldCancel && !res.destroyed) {
-          res.write(`data: ${JSON.stringify({
-            type: 'analysis_progress',
-            sessionId: sessionId,
-            completed: completed,
-            total: total,
-            currentPage: currentPage,
-            message: `Analyzed ${completed}/${total} images...`
-          })}\n\n`);
-        }
-      },
-      model,
-      prompt
-    );
+    const onProgress = (completed, total, currentPage) => {
+      if (!isCancelled()) {
+        emit({
+          type: 'analysis_progress',
+          sessionId: sessionId,
+          completed: completed,
+          total: total,
+          currentPage: currentPage,
+          message: `Analyzed ${completed}/${total} images...`
+        });
+      }
+    };
 
-    if (shouldCancel) {
-      safeCleanup('Cancelled during analysis');
-      return res.end();
-    }
+    const onFailover = ({ fromModel, toModel, pageNumbers }) => {
+      if (!isCancelled()) {
+        emit({
+          type: 'model_failover',
+          sessionId: sessionId,
+          fromModel: fromModel,
+          toModel: toModel,
+          pageNumbers: pageNumbers,
+          message: `${pageNumbers.length} page(s) failed on ${fromModel}, retrying with ${toModel}...`
+        });
+      }
+    };
+
+    // Process all images - with every consensus model when requested. Pages already analyzed
+    // with this prompt and model come from the result cache and are not sent again.
+    const analysisResults = await resultCache.analyzeImages({ organization, images: imageData, model, prompt, promptRef, bypass: bypassCache }, onProgress, (pending, onPendingProgress) => {
+      return consensusModels.length > 0
+        ? consensusService.analyzeImagesUltraFast(pending, onPendingProgress, consensusModels, prompt)
+        : failoverService.analyzeImagesUltraFast(pending, onPendingProgress, model, prompt, { onFailover });
+    });
 
-    // Process results
+    // Process results - pages are persisted even after a cancel since they are already paid for
     const allPagesData = [];
     const collectedResult = {
       labour: [],
@@ -583,67 +709,136 @@ console.log(`Received prompt from frontend (batch): "${prompt}"`);
       const result = analysisResults[i];
       const pageNumber = images[i].pageNumber;
 
-      if (shouldCancel) break;
+      // Sort, validate and report dropped items
+      const pageAnalysis = calculationService.analyzePageData(result.parsed || []);
+      const pageResultWithPageNumber = pageAnalysis.data;
 
-      // Process extracted data
-      const pageResultWithPageNumber = calculationService.processPageData(result.parsed || []);
+      // Add page number and metadata to all items - a fallback model may have produced them
+      const pageModel = result.modelUsed || model;
+      stampPageItems(pageResultWithPageNumber, { pageNumber, sessionId, userId, model: pageModel, promptRef });
 
-      // Add page number and metadata to all items
-      Object.keys(pageResultWithPageNumber).forEach(category => {
-        pageResultWithPageNumber[category].forEach(item => {
-          item.PAGE_NUMBER = pageNumber;
-          item.SESSION_ID = sessionId;
-          item.USER_ID = userId;
-          item.MODEL_USED = model;
-          item.PROMPT_USED = true; // Always true since prompt is required from frontend
-        });
-      });
+      // Extended amounts, mismatch flags, subtotals and sales tax for this page
+      const pageTotals = calculationService.calculatePageTotals(pageResultWithPageNumber, calculationOptions);
 
       const processedPageData = {
         pageNumber: pageNumber,
         data: pageResultWithPageNumber,
         rawOutput: result.raw,
         error: result.error,
+        droppedItems: pageAnalysis.droppedItems,
+        droppedCount: pageAnalysis.droppedCount,
+        validationSummary: pageAnalysis.validationSummary,
+        totals: pageTotals,
+        ocr: result.ocr,
+        consensus: result.consensus,
+        failover: result.failover,
+        truncated: result.truncated,
+        continuations: result.continuations,
+        cached: result.cached,
         userId: userId,
         sessionId: sessionId,
-        model: model,
-        promptUsed: true // Always true since prompt is required
+        model: pageModel,
+        promptUsed: true, // Always true since prompt is required
+        promptRef: promptRef
       };
 
       allPagesData.push(processedPageData);
 
+      await extractionRunService.recordPage(run, {
+        pageNumber,
+        data: pageResultWithPageNumber,
+        rawOutput: result.raw,
+        error: result.error,
+        droppedItems: pageAnalysis.droppedItems,
+        validationSummary: pageAnalysis.validationSummary,
+        totals: pageTotals,
+        model: pageModel,
+        apiCost: resultApiCost(result, model),
+        ocr: result.ocr,
+        consensus: result.consensus,
+        failover: result.failover,
+        truncated: result.truncated,
+        continuations: result.continuations,
+        cached: result.cached,
+        owner: { userId, userEmail, organization, sessionId }
+      });
+
       // Collect results
       Object.keys(collectedResult).forEach(category => {
         collectedResult[category].push(...(pageResultWithPageNumber[category] || []));
       });
 
       // Send page complete notification
-      if (!shouldCancel && !res.destroyed) {
-        res.write(`data: ${JSON.stringify({ 
-          type: 'page_complete', 
+      if (!isCancelled()) {
+        emit({
+          type: 'page_complete',
           pageNumber: pageNumber,
           sessionId: sessionId,
           pageData: pageResultWithPageNumber,
           rawOutput: result.raw,
           error: result.error,
-          message: result.error ? `Page ${pageNumber} completed with warnings` : `Page ${pageNumber} complete` 
-        })}\n\n`);
+          droppedItems: pageAnalysis.droppedItems,
+          droppedCount: pageAnalysis.droppedCount,
+          validationSummary: pageAnalysis.validationSummary,
+          totals: pageTotals,
+          ocr: result.ocr,
+          consensus: result.consensus,
+          modelUsed: pageModel,
+          failover: result.failover,
+          truncated: result.truncated,
+          continuations: result.continuations,
+          cached: result.cached,
+          message: result.error
+            ? `Page ${pageNumber} completed with warnings`
+            : result.truncated ? `Page ${pageNumber} truncated - some rows may be missing` : `Page ${pageNumber} complete${result.cached ? ' (from cache)' : ''}`
+        });
       }
     }
 
-    if (shouldCancel) {
-      return res.end();
+    // API cost across all pages, priced per model actually called (fallbacks, consensus models)
+    const apiCost = modelRegistry.combineApiCosts(analysisResults.map(r => resultApiCost(r, model)));
+
+    // Run totals across all pages
+    const totals = calculationService.combineTotals(allPagesData.map(p => p.totals), calculationOptions);
+
+    if (isCancelled()) {
+      await extractionRunService.finishRun(run, { status: 'cancelled', apiCost, totals });
+      emit({
+        type: 'cancelled',
+        sessionId,
+        runId: run ? run._id : null,
+        apiCost,
+        message: `Processing cancelled. ${allPagesData.length} analyzed pages were saved to the run.`
+      });
+      return;
     }
 
+    await extractionRunService.finishRun(run, { status: 'completed', apiCost, totals });
+
     const processingStats = {
       totalImages: images.length,
       processedPages: allPagesData.length,
       successfulPages: allPagesData.filter(p => !p.error).length,
       errorPages: allPagesData.filter(p => p.error).length,
       modelUsed: model,
+      modelsUsed: [...new Set(allPagesData.map(p => p.model))],
+      failoverPages: allPagesData.filter(p => p.failover).length,
+      truncatedPages: allPagesData.filter(p => p.truncated).map(p => p.pageNumber),
+      continuations: allPagesData.reduce((sum, p) => sum + (p.continuations || 0), 0),
+      cachedPages: allPagesData.filter(p => p.cached).length,
       promptUsed: true, // Always true since prompt is required from frontend
-      totalItems: Object.values(collectedResult).reduce((sum, arr) => sum + arr.length, 0)
+      totalItems: Object.values(collectedResult).reduce((sum, arr) => sum + arr.length, 0),
+      droppedItems: allPagesData.reduce((sum, p) => sum + p.droppedCount, 0),
+      validationSummary: allPagesData.reduce((summary, p) => {
+        Object.keys(summary).forEach(status => {
+          summary[status] += p.validationSummary[status];
+        });
+        return summary;
+      }, { valid: 0, warning: 0, invalid: 0 })
     };
+    if (consensusModels.length > 0) {
+      processingStats.consensus = summarizeConsensus(consensusModels, analysisResults.map(r => r?.consensus));
+    }
 
     console.log(`\nBATCH PROCESSING COMPLETE for user ${userEmail}`);
     console.log(`Model used: ${model}`);
@@ -657,15 +852,11 @@ console.log(`Received prompt from frontend (batch): "${prompt}"`);
     console.log(`- Consumables items: ${collectedResult.consumables.length}`);
     console.log(`- Subtrade items: ${collectedResult.subtrade.length}`);
 
-    // Calculate API cost from accumulated token usage across all pages
-    const totalInputTokens = analysisResults.reduce((sum, r) => sum + (r?.usage?.inputTokens || 0), 0);
-    const totalOutputTokens = analysisResults.reduce((sum, r) => sum + (r?.usage?.outputTokens || 0), 0);
-    const apiCost = calculateApiCost(model, totalInputTokens, totalOutputTokens);
-
     // Send final result
-    res.write(`data: ${JSON.stringify({
+    emit({
       type: 'complete',
       sessionId: sessionId,
+      runId: run ? run._id : null,
       allPagesData: allPagesData,
       collectedResult: collectedResult,
       totalPages: images.length,
@@ -673,33 +864,384 @@ console.log(`Received prompt from frontend (batch): "${prompt}"`);
       processedAt: new Date().toISOString(),
       modelUsed: model,
       promptUsed: true, // Always true since prompt is required from frontend
+      promptRef: promptRef,
       userStats: processingManager.getUserStats(userId),
       processingStats: processingStats,
       apiCost: apiCost,
+      totals: totals,
       message: `Batch processing complete! ${images.length} images processed using ${model}.`
-    })}\n\n`);
-
-    res.end();
+    });
 
   } catch (error) {
     console.error(`\nBATCH PROCESSING ERROR for user ${userEmail}:`, error);
-    
-    if (!res.headersSent) {
-      res.write(`data: ${JSON.stringify({ 
-        type: 'error',
-        sessionId: sessionId,
-        error: error.message 
-      })}\n\n`);
+    await extractionRunService.finishRun(run, { status: 'failed', error: error.message });
+
+    emit({
+      type: 'error',
+      sessionId: sessionId,
+      runId: run ? run._id : null,
+      error: error.message
+    });
+  }
+};
+
+// Unexpected failure while checking a batch request, before anything was started
+const failBatchSetup = (res, error) => {
+  console.error('Batch processing setup error:', error);
+  res.status(500).json({
+    error: 'Failed to start batch processing',
+    message: error.message
+  });
+};
+
+// Prompt, calculation options and model(s) of a batch request, sending the 400 response on failure
+const readBatchOptions = async (req, res) => {
+  // Prompt text from frontend, or a versioned prompt from the library
+  const resolvedPrompt = await resolveRequestPrompt(req, res);
+  if (!resolvedPrompt) return null;
+
+  const calculationOptions = getCalculationOptions(req, res);
+  if (!calculationOptions) return null;
+
+  const consensusModels = getConsensusModels(req, res);
+  if (!consensusModels) return null;
+  const selectedModel = consensusModels.length > 0
+    ? consensusModels.join('+')
+    : req.body.model || modelRegistry.getDefaultModel();
+
+  // Validate model
+  if (consensusModels.length === 0 && !modelRegistry.isEnabled(selectedModel)) {
+    res.status(400).json({
+      error: 'Invalid model',
+      message: `Model must be one of: ${modelRegistry.getEnabledModelIds().join(', ')}`
+    });
+    return null;
+  }
+
+  return { prompt: resolvedPrompt.text, promptRef: resolvedPrompt.promptRef, calculationOptions, consensusModels, selectedModel };
+};
+
+// Background mode is requested with `async: true` (form field "true" for PDF uploads) or ?mode=job
+const isJobRequest = (req) => {
+  return req.body.async === true || req.body.async === 'true' || req.query.mode === 'job';
+};
+
+// Process multiple images in batch - streamed over SSE, or as a background job
+exports.processBatchImages = async (req, res) => {
+  const userId = req.user.id;
+  const userEmail = req.user.email;
+  const organization = req.user.organization;
+  const sessionId = generateSessionId(userId);
+  
+  // Check user limits
+  if (!processingManager.canUserStartProcessing(userId)) {
+    const stats = processingManager.getUserStats(userId);
+    return res.status(429).json({
+      error: 'Processing limit reached',
+      message: `User limit: ${stats.activeCount}/${stats.maxAllowed} active. Global: ${stats.globalActive}/${stats.globalMax} active. Please wait for current processing to complete.`,
+      userStats: stats
+    });
+  }
+
+  let shouldCancel = false;
+  let isCleanedUp = false;
+
+  const safeCleanup = (reason) => {
+    if (!isCleanedUp) {
+      console.log(`Cleanup triggered: ${reason}`);
+      isCleanedUp = true;
+      activeProcessingSessions.delete(sessionId);
+      processingManager.endUserProcessing(userId, sessionId);
+      imageStorage.delete(sessionId);
     }
-    
-    if (!res.destroyed) {
-      res.end();
+  };
+
+  const { images } = req.body;
+
+  if (!images || !Array.isArray(images) || images.length === 0) {
+    return res.status(400).json({
+      error: 'Images required',
+      message: 'Please provide an array of images with pageNumber and base64 data'
+    });
+  }
+
+  // PDF uploads were checked (and their budget applied) before rasterization
+  const preflight = req.pdfPreflight;
+
+  let options;
+  try {
+    options = preflight ? preflight.options : await readBatchOptions(req, res);
+  } catch (error) {
+    return failBatchSetup(res, error);
+  }
+  if (!options) return;
+  const { prompt, promptRef, calculationOptions, consensusModels, selectedModel } = options;
+
+  // Validate images array
+  // Page numbers must be unique - results, progress and consensus merges are keyed by them
+  const seenPages = new Set();
+  for (const img of images) {
+    if (!img.image || !img.pageNumber) {
+      return res.status(400).json({
+        error: 'Invalid image data',
+        message: 'Each image must have "image" (base64) and "pageNumber" fields'
+      });
+    }
+    if (seenPages.has(String(img.pageNumber))) {
+      return res.status(400).json({
+        error: 'Invalid image data',
+        message: `Duplicate pageNumber ${img.pageNumber} - each image needs its own page number`
+      });
+    }
+    seenPages.add(String(img.pageNumber));
+  }
+
+  // Monthly budgets may refuse the batch or switch it to a cheaper model (estimated from the page count)
+  let budget;
+  try {
+    budget = preflight
+      ? preflight.budget
+      : await applyBudget(req, res, { model: selectedModel, consensusModels, pageCount: images.length, prompt, promptRef });
+  } catch (error) {
+    return failBatchSetup(res, error);
+  }
+  if (!budget) return;
+  const model = budget.model;
+
+  const jobMode = isJobRequest(req);
+
+  // Start user processing
+  processingManager.startUserProcessing(userId, sessionId);
+
+  // Create session
+  sessionStore.createSession(userId, sessionId, {
+    userEmail: userEmail,
+    organization: organization,
+    startTime: Date.now(),
+    model: model,
+    prompt: prompt, // Store prompt from frontend
+    imageCount: images.length,
+    jobMode: jobMode
+  });
+
+  activeProcessingSessions.set(sessionId, {
+    userId: userId,
+    userEmail: userEmail,
+    organization: organization,
+    startTime: Date.now(),
+    cancel: () => {
+      shouldCancel = true;
+      console.log(`Cancellation requested for session: ${sessionId} (User: ${userEmail})`);
     }
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(jobMode ? 'BATCH IMAGE PROCESSING JOB' : 'BATCH IMAGE PROCESSING REQUEST');
+  console.log('='.repeat(70));
+  console.log(`Session ID: ${sessionId}`);
+  console.log(`User ID: ${userId}`);
+  console.log(`User Email: ${userEmail}`);
+  console.log(`Total Images: ${images.length}`);
+  console.log(`Model: ${model}`);
+  console.log(`Prompt: ${promptRef ? `${promptRef.name} v${promptRef.version}` : 'From frontend'}`);
+
+  const batch = {
+    sessionId,
+    userId,
+    userEmail,
+    organization,
+    images,
+    model,
+    consensusModels,
+    prompt,
+    promptRef,
+    calculationOptions,
+    sourceFile: req.pdfSource,
+    bypassCache: isCacheBypassed(req),
+    budgetDowngrade: budgetDowngradeNotice(budget)
+  };
+
+  if (jobMode) {
+    // Runs independently of this request - only an explicit cancel stops it
+    const job = jobManager.createJob({
+      jobId: sessionId,
+      userId,
+      userEmail,
+      model,
+      totalImages: images.length,
+      sourceFile: req.pdfSource
+    });
+
+    runBatchAnalysis(batch, event => jobManager.addEvent(job.jobId, event), () => shouldCancel)
+      .finally(() => safeCleanup('Job finished'));
+
+    return res.status(202).json({
+      success: true,
+      message: `Batch job accepted: ${images.length} images using ${model}`,
+      jobId: job.jobId,
+      sessionId: sessionId,
+      statusUrl: `/api/images/jobs/${job.jobId}`,
+      eventsUrl: `/api/images/jobs/${job.jobId}/events`,
+      resultUrl: `/api/images/jobs/${job.jobId}/result`,
+      budgetDowngrade: batch.budgetDowngrade,
+      userStats: processingManager.getUserStats(userId)
+    });
+  }
+
+  // Events are numbered and buffered so a dropped client can resume from
+  // /api/images/sessions/:sessionId/events with Last-Event-ID. The batch is only
+  // cancelled when nobody reconnects within the grace period.
+  sseStream.createStream(sessionId, userId, {
+    onIdle: () => {
+      shouldCancel = true;
+      console.log(`Client did not reconnect - cancelling session: ${sessionId}`);
+    }
+  });
+
+  sseStream.setHeaders(res, sessionId);
+  res.setHeader('X-User-ID', userId);
+  sseStream.attach(res, sessionId);
+
+  try {
+    await runBatchAnalysis(batch, event => sseStream.publish(sessionId, event), () => shouldCancel);
   } finally {
+    sseStream.end(sessionId);
     safeCleanup('Processing complete');
   }
 };
 
+// Resume a batch event stream after a dropped connection: replays the events after
+// Last-Event-ID (header, or ?lastEventId for clients that cannot set it), then follows live
+exports.resumeSessionEvents = (req, res) => {
+  const { sessionId } = req.params;
+  const stream = sseStream.getStream(sessionId);
+
+  if (!stream || stream.userId !== req.user.id) {
+    return res.status(404).json({
+      error: 'Stream not found',
+      message: 'Unknown session, or its events are no longer available - fetch the run from /api/images/runs'
+    });
+  }
+
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  console.log(`Resuming event stream ${sessionId} after event ${lastEventId || 0}`);
+
+  sseStream.setHeaders(res, sessionId);
+  sseStream.attach(res, sessionId, lastEventId);
+};
+
+// Process an uploaded PDF: rasterize the selected pages and run them through the batch pipeline
+exports.processPdf = async (req, res) => {
+  const userId = req.user.id;
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'PDF required',
+      message: 'Please upload a PDF file in the "pdf" field'
+    });
+  }
+
+  if (!req.body.prompt && !req.body.promptId) {
+    return res.status(400).json({
+      error: 'Prompt required',
+      message: 'Please provide a prompt or a promptId for data extraction'
+    });
+  }
+
+  // Check limits before spending time on rasterization
+  if (!processingManager.canUserStartProcessing(userId)) {
+    const stats = processingManager.getUserStats(userId);
+    return res.status(429).json({
+      error: 'Processing limit reached',
+      message: `User limit: ${stats.activeCount}/${stats.maxAllowed} active. Global: ${stats.globalActive}/${stats.globalMax} active. Please wait for current processing to complete.`,
+      userStats: stats
+    });
+  }
+
+  let totalPages;
+  try {
+    totalPages = await pdfService.getPageCount(req.file.buffer);
+  } catch (error) {
+    console.error('PDF parse error:', error.message);
+    return res.status(400).json({
+      error: 'Invalid PDF',
+      message: 'The uploaded file could not be read as a PDF'
+    });
+  }
+
+  let pageNumbers;
+  try {
+    pageNumbers = pdfService.parsePageRange(req.body, totalPages);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid page range',
+      message: error.message,
+      totalPages
+    });
+  }
+
+  console.log(`PDF upload from ${req.user.email}: ${req.file.originalname} (${totalPages} pages, ${pageNumbers.length} selected)`);
+
+  // Options and the budget are checked from the page count before paying for rasterization
+  let options;
+  let budget;
+  try {
+    options = await readBatchOptions(req, res);
+    if (!options) return;
+    budget = await applyBudget(req, res, {
+      model: options.selectedModel,
+      consensusModels: options.consensusModels,
+      pageCount: pageNumbers.length,
+      prompt: options.prompt,
+      promptRef: options.promptRef
+    });
+    if (!budget) return;
+  } catch (error) {
+    return failBatchSetup(res, error);
+  }
+
+  // The limit may have been reached while the prompt and budget were checked
+  if (!processingManager.canUserStartProcessing(userId)) {
+    const stats = processingManager.getUserStats(userId);
+    return res.status(429).json({
+      error: 'Processing limit reached',
+      message: `User limit: ${stats.activeCount}/${stats.maxAllowed} active. Global: ${stats.globalActive}/${stats.globalMax} active. Please wait for current processing to complete.`,
+      userStats: stats
+    });
+  }
+
+  // Rasterization holds a processing slot; it is handed to the batch right after
+  const rasterizeSlot = `pdf_${crypto.randomBytes(8).toString('hex')}`;
+  processingManager.startUserProcessing(userId, rasterizeSlot);
+
+  let pages;
+  try {
+    pages = await pdfService.rasterizePages(req.file.buffer, pageNumbers);
+  } catch (error) {
+    console.error('PDF rasterization error:', error);
+    return res.status(500).json({
+      error: 'PDF conversion failed',
+      message: error.message
+    });
+  } finally {
+    processingManager.endUserProcessing(userId, rasterizeSlot);
+  }
+
+  // Release the upload buffer before the long-running analysis
+  req.file.buffer = null;
+
+  req.pdfSource = {
+    filename: req.file.originalname,
+    totalPages,
+    selectedPages: pageNumbers
+  };
+  req.body.images = pages;
+  req.pdfPreflight = { options, budget };
+
+  // Synchronous up to the limit check, so the released slot cannot be taken in between
+  return exports.processBatchImages(req, res);
+};
+
 // Cancel processing
 exports.cancelProcessing = (req, res) => {
   const { sessionId } = req.body;
@@ -720,6 +1262,8 @@ exports.cancelProcessing = (req, res) => {
   }
   
   session.cancel();
+
+  auditService.record({ req, action: 'processing.cancel', target: { type: 'session', id: sessionId } });
   
   res.json({ 
     success: true, 
@@ -742,17 +1286,57 @@ exports.getActiveSessions = (req, res) => {
   });
 };
 
-// Get system stats
+// Get system stats - global stats for admins only
 exports.getSystemStats = (req, res) => {
   const userId = req.user.id;
   
   res.json({
     userStats: processingManager.getUserStats(userId),
-    globalStats: {
+    globalStats: hasRole(req.user, 'admin') ? {
       activeUsers: userProcessingQueues.size,
       totalActiveSessions: processingManager.globalActiveCount,
       maxGlobalSessions: processingManager.maxGlobalConcurrent,
       systemLoad: Math.round((processingManager.globalActiveCount / processingManager.maxGlobalConcurrent) * 100)
+    } : undefined,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Active processing sessions of every user in the admin's organization
+exports.getAllSessions = (req, res) => {
+  const now = Date.now();
+  const organizationSessions = Array.from(activeProcessingSessions.entries())
+    .filter(([sessionId, session]) => session.organization === req.user.organization);
+  const organizationUsers = new Set(organizationSessions.map(([sessionId, session]) => session.userId));
+
+  const sessions = organizationSessions.map(([sessionId, session]) => {
+    const details = sessionStore.getSession(sessionId);
+    return {
+      sessionId,
+      userId: session.userId,
+      userEmail: session.userEmail,
+      startTime: new Date(session.startTime).toISOString(),
+      runningMs: now - session.startTime,
+      model: details?.model,
+      imageCount: details?.imageCount,
+      jobMode: !!details?.jobMode
+    };
+  });
+
+  const users = Array.from(userProcessingQueues.entries())
+    .filter(([userId, queue]) => queue.activeCount > 0 && organizationUsers.has(userId))
+    .map(([userId, queue]) => ({ userId, activeCount: queue.activeCount, maxAllowed: processingManager.maxConcurrentPerUser }));
+
+  res.json({
+    success: true,
+    sessions,
+    count: sessions.length,
+    users,
+    globalStats: {
+      activeUsers: users.length,
+      totalActiveSessions: processingManager.globalActiveCount,
+      maxGlobalSessions: processingManager.maxGlobalConcurrent,
+      systemLoad: Math.round((processingManager.globalActiveCount / processingManager.maxGlobalConcurrent) * 100)
     },
     timestamp: new Date().toISOString()
   });
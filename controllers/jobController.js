@@ -0,0 +1,117 @@
+const ExtractionRun = require('../models/ExtractionRun');
+const jobManager = require('../services/jobManager');
+const sseStream = require('../services/sseStream');
+
+// In-memory job owned by the current user, or null
+const findUserJob = (req) => {
+  const job = jobManager.getJob(req.params.jobId);
+  return job && job.userId === req.user.id ? job : null;
+};
+
+// Jobs expire from memory after their retention period; the persisted run is the fallback
+const findJobRun = (req) => {
+  return ExtractionRun.findOne({ sessionId: req.params.jobId, user: req.user.id })
+    .select('_id sessionId status model totalPages totalItems apiCost error createdAt completedAt');
+};
+
+// List the current user's background jobs still held in memory
+exports.listJobs = (req, res) => {
+  const jobs = jobManager.getUserJobs(req.user.id).map(job => jobManager.summarize(job));
+
+  res.json({
+    success: true,
+    jobs,
+    count: jobs.length
+  });
+};
+
+// Job status and progress
+exports.getJob = async (req, res) => {
+  try {
+    const job = findUserJob(req);
+    if (job) {
+      return res.json({ success: true, job: jobManager.summarize(job) });
+    }
+
+    const run = await findJobRun(req);
+    if (!run) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        jobId: run.sessionId,
+        sessionId: run.sessionId,
+        runId: run._id,
+        status: run.status,
+        model: run.model,
+        totalImages: run.totalPages,
+        error: run.error,
+        createdAt: run.createdAt,
+        finishedAt: run.completedAt,
+        expired: true
+      },
+      message: 'Job is no longer in memory - fetch its results from /api/images/runs/:runId'
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job', message: error.message });
+  }
+};
+
+// Stream the job's events over SSE: everything after Last-Event-ID (all of them on first
+// connect), then live updates until it ends. Disconnecting only unsubscribes - the job keeps running.
+exports.streamJobEvents = (req, res) => {
+  const job = findUserJob(req);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'Unknown job, or it finished and expired - fetch its results from /api/images/runs'
+    });
+  }
+
+  sseStream.setHeaders(res, job.jobId);
+  sseStream.attach(res, job.jobId, req.headers['last-event-id'] || req.query.lastEventId);
+};
+
+// Final result of a finished job (the same payload as the `complete` event)
+exports.getJobResult = async (req, res) => {
+  try {
+    const job = findUserJob(req);
+    if (job) {
+      if (!job.finishedAt) {
+        return res.status(409).json({
+          error: 'Job still processing',
+          message: `${job.progress.completed}/${job.progress.total} images analyzed`,
+          job: jobManager.summarize(job)
+        });
+      }
+
+      if (job.status !== 'completed') {
+        return res.status(409).json({
+          error: `Job ${job.status}`,
+          message: job.error || 'The job did not complete. Analyzed pages are saved on its run.',
+          job: jobManager.summarize(job)
+        });
+      }
+
+      return res.json({ success: true, jobId: job.jobId, result: job.result });
+    }
+
+    const run = await findJobRun(req);
+    if (!run) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.status(410).json({
+      error: 'Job result expired',
+      message: 'Fetch the saved results from the run instead',
+      runId: run._id,
+      runUrl: `/api/images/runs/${run._id}`
+    });
+  } catch (error) {
+    console.error('Get job result error:', error);
+    res.status(500).json({ error: 'Failed to fetch job result', message: error.message });
+  }
+};
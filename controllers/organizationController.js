@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const organizationService = require('../services/organizationService');
+const auditService = require('../services/auditService');
+const { isBootstrapAdmin } = require('../middleware/auth');
+
+// Admins listed in ADMIN_EMAILS manage every organization; other admins manage their own
+const isPlatformAdmin = (req) => isBootstrapAdmin(req.user.email);
+
+const formatOrganization = (organization, userCount) => ({
+  id: organization._id,
+  name: organization.name,
+  domains: organization.domains,
+  isActive: organization.isActive,
+  userCount,
+  createdBy: organization.createdBy,
+  updatedBy: organization.updatedBy,
+  createdAt: organization.createdAt,
+  updatedAt: organization.updatedAt
+});
+
+// Validated domain list from the body, sending the 400/409 response on failure
+const readDomains = async (req, res, exceptOrganizationId) => {
+  const { domains, invalid } = organizationService.normalizeDomains(req.body.domains);
+
+  if (invalid.length > 0) {
+    res.status(400).json({ error: 'Invalid domains', message: `Not valid email domains: ${invalid.join(', ')}` });
+    return null;
+  }
+  if (domains.length === 0) {
+    res.status(400).json({ error: 'Domains required', message: 'An organization needs at least one email domain' });
+    return null;
+  }
+
+  const taken = await organizationService.findTakenDomains(domains, exceptOrganizationId);
+  if (taken.length > 0) {
+    res.status(409).json({
+      error: 'Domain in use',
+      message: taken.map(entry => `${entry.domain} belongs to ${entry.organization}`).join(', ')
+    });
+    return null;
+  }
+
+  return domains;
+};
+
+const countUsers = async (organizations) => {
+  const counts = await User.aggregate([
+    { $match: { organization: { $in: organizations.map(organization => organization._id) } } },
+    { $group: { _id: '$organization', count: { $sum: 1 } } }
+  ]);
+  return organizations.map(organization => {
+    const row = counts.find(count => String(count._id) === String(organization._id));
+    return formatOrganization(organization, row ? row.count : 0);
+  });
+};
+
+// The admin's organization, or every organization for ADMIN_EMAILS admins
+exports.listOrganizations = async (req, res) => {
+  try {
+    const filter = isPlatformAdmin(req) ? {} : { _id: req.user.organization };
+    const organizations = await Organization.find(filter).sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      organizations: await countUsers(organizations),
+      count: organizations.length,
+      organization: req.user.organization
+    });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch organizations',
+      message: error.message
+    });
+  }
+};
+
+// Create an organization (ADMIN_EMAILS admins). Body: name, domains
+exports.createOrganization = async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only administrators listed in ADMIN_EMAILS can create organizations'
+      });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Name required', message: 'Please provide an organization name' });
+    }
+    if (await Organization.exists({ name })) {
+      return res.status(409).json({ error: 'Organization already exists', message: `An organization named "${name}" already exists` });
+    }
+
+    const domains = await readDomains(req, res);
+    if (!domains) return;
+
+    const organization = await Organization.create({ name, domains, createdBy: req.user.email, updatedBy: req.user.email });
+    organizationService.clearCache();
+
+    console.log(`Organization ${organization.name} (${domains.join(', ')}) created by ${req.user.email}`);
+    await auditService.record({
+      req,
+      action: 'organization.create',
+      target: { type: 'organization', id: String(organization._id) },
+      details: { name, domains }
+    });
+
+    res.status(201).json({ success: true, organization: formatOrganization(organization, 0) });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      error: 'Failed to create organization',
+      message: error.message
+    });
+  }
+};
+
+// Rename an organization or change its domains. Body: name, domains, isActive (ADMIN_EMAILS admins).
+// Users whose domain is removed are refused on their next request.
+exports.updateOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const canManage = isPlatformAdmin(req) || organizationId === req.user.organization;
+    const organization = canManage && mongoose.isValidObjectId(organizationId)
+      ? await Organization.findById(organizationId)
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const before = { name: organization.name, domains: [...organization.domains], isActive: organization.isActive };
+
+    if (req.body.name !== undefined) {
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name) {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      if (await Organization.exists({ name, _id: { $ne: organization._id } })) {
+        return res.status(409).json({ error: 'Organization already exists', message: `An organization named "${name}" already exists` });
+      }
+      organization.name = name;
+    }
+
+    if (req.body.domains !== undefined) {
+      const domains = await readDomains(req, res, organization._id);
+      if (!domains) return;
+
+      // Keep admins from locking themselves out of their own organization
+      if (organizationId === req.user.organization && !domains.includes(organizationService.emailDomain(req.user.email))) {
+        return res.status(400).json({
+          error: 'Invalid domains',
+          message: `Removing ${organizationService.emailDomain(req.user.email)} would lock you out of your organization`
+        });
+      }
+      organization.domains = domains;
+    }
+
+    if (req.body.isActive !== undefined) {
+      if (!isPlatformAdmin(req)) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: 'Only administrators listed in ADMIN_EMAILS can activate or deactivate organizations'
+        });
+      }
+      if (organizationId === req.user.organization && req.body.isActive !== true) {
+        return res.status(400).json({ error: 'Invalid status change', message: 'You cannot deactivate your own organization' });
+      }
+      organization.isActive = req.body.isActive === true;
+    }
+
+    organization.updatedBy = req.user.email;
+    await organization.save();
+    organizationService.clearCache();
+
+    const after = { name: organization.name, domains: [...organization.domains], isActive: organization.isActive };
+    console.log(`Organization ${organization.name} updated by ${req.user.email}: ${JSON.stringify(after)}`);
+    await auditService.record({
+      req,
+      action: 'organization.update',
+      target: { type: 'organization', id: String(organization._id) },
+      details: { before, after }
+    });
+
+    const [formatted] = await countUsers([organization]);
+    res.json({ success: true, organization: formatted });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      error: 'Failed to update organization',
+      message: error.message
+    });
+  }
+};
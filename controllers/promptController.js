@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Prompt = require('../models/Prompt');
+
+// Prompts belong to an organization; other organizations' prompts are reported as not found
+const findPrompt = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.promptId)) return null;
+  return Prompt.findOne({ _id: req.params.promptId, organization: req.user.organization });
+};
+
+// Summary shape used in listings
+const summarizePrompt = (prompt) => {
+  const published = prompt.getPublishedVersion();
+  const latest = prompt.getLatestVersion();
+  return {
+    id: prompt._id,
+    name: prompt.name,
+    description: prompt.description,
+    publishedVersion: published ? published.version : null,
+    latestVersion: latest ? latest.version : null,
+    versionCount: prompt.versions.length,
+    createdAt: prompt.createdAt,
+    updatedAt: prompt.updatedAt
+  };
+};
+
+// List all prompts in the organization's library
+exports.listPrompts = async (req, res) => {
+  try {
+    const filter = { organization: req.user.organization };
+    if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+      return res.status(400).json({ error: 'Invalid search', message: 'search must be a single text value' });
+    }
+    if (req.query.search) {
+      const escaped = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.name = { $regex: escaped, $options: 'i' };
+    }
+
+    const prompts = await Prompt.find(filter).sort({ name: 1 });
+
+    let results = prompts.map(summarizePrompt);
+    if (req.query.publishedOnly === 'true') {
+      results = results.filter(p => p.publishedVersion !== null);
+    }
+
+    res.json({
+      success: true,
+      prompts: results,
+      count: results.length
+    });
+  } catch (error) {
+    console.error('List prompts error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompts', message: error.message });
+  }
+};
+
+// Get a prompt with its full version history
+exports.getPrompt = async (req, res) => {
+  try {
+    const prompt = await findPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json({
+      success: true,
+      prompt: {
+        ...summarizePrompt(prompt),
+        versions: prompt.versions
+      }
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt', message: error.message });
+  }
+};
+
+// Create a prompt with its first version
+exports.createPrompt = async (req, res) => {
+  try {
+    const { name, description, text, notes, publish = false } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        error: 'Name and text required',
+        message: 'Please provide a prompt name and prompt text'
+      });
+    }
+
+    const existing = await Prompt.findOne({ organization: req.user.organization, name: name.trim() });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Prompt already exists',
+        message: `A prompt named "${name.trim()}" already exists. Add a new version instead.`,
+        promptId: existing._id
+      });
+    }
+
+    const now = new Date();
+    const prompt = await Prompt.create({
+      name: name.trim(),
+      description,
+      organization: req.user.organization,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+      versions: [{
+        version: 1,
+        text,
+        notes,
+        status: publish ? 'published' : 'draft',
+        createdBy: req.user.id,
+        publishedBy: publish ? req.user.id : undefined,
+        publishedAt: publish ? now : undefined
+      }]
+    });
+
+    console.log(`Prompt "${prompt.name}" created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt created successfully',
+      prompt: { ...summarizePrompt(prompt), versions: prompt.versions }
+    });
+  } catch (error) {
+    console.error('Create prompt error:', error);
+    res.status(500).json({ error: 'Failed to create prompt', message: error.message });
+  }
+};
+
+// Update prompt name or description
+exports.updatePrompt = async (req, res) => {
+  try {
+    const prompt = await findPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const { name, description } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      const duplicate = await Prompt.findOne({ organization: prompt.organization, name: name.trim(), _id: { $ne: prompt._id } });
+      if (duplicate) {
+        return res.status(409).json({ error: 'Prompt already exists', message: `A prompt named "${name.trim()}" already exists` });
+      }
+      prompt.name = name.trim();
+    }
+
+    if (description !== undefined) {
+      prompt.description = description;
+    }
+
+    prompt.updatedBy = req.user.id;
+    await prompt.save();
+
+    res.json({
+      success: true,
+      message: 'Prompt updated successfully',
+      prompt: summarizePrompt(prompt)
+    });
+  } catch (error) {
+    console.error('Update prompt error:', error);
+    res.status(500).json({ error: 'Failed to update prompt', message: error.message });
+  }
+};
+
+// Delete a prompt and all of its versions
+exports.deletePrompt = async (req, res) => {
+  try {
+    const prompt = await findPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await prompt.deleteOne();
+    console.log(`Prompt "${prompt.name}" deleted by ${req.user.email}`);
+
+    res.json({ success: true, message: 'Prompt deleted successfully', promptId: prompt._id });
+  } catch (error) {
+    console.error('Delete prompt error:', error);
+    res.status(500).json({ error: 'Failed to delete prompt', message: error.message });
+  }
+};
+
+// Add a new draft version
+exports.createVersion = async (req, res) => {
+  try {
+    const prompt = await findPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const { text, notes } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Text required', message: 'Please provide the prompt text for the new version' });
+    }
+
+    const latest = prompt.getLatestVersion();
+    const version = (latest ? latest.version : 0) + 1;
+
+    prompt.versions.push({
+      version,
+      text,
+      notes,
+      status: 'draft',
+      createdBy: req.user.id
+    });
+    prompt.updatedBy = req.user.id;
+    await prompt.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version} created as draft`,
+      version: prompt.getVersion(version)
+    });
+  } catch (error) {
+    console.error('Create prompt version error:', error);
+    res.status(500).json({ error: 'Failed to create prompt version', message: error.message });
+  }
+};
+
+// Edit a draft version - published versions are immutable so runs stay reproducible
+exports.updateVersion = async (req, res) => {
+  try {
+    const prompt = await findPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const version = prompt.getVersion(parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    if (version.status === 'published') {
+      return res.status(409).json({
+        error: 'Version is published',
+        message: 'Published versions cannot be edited. Create a new version instead.'
+      });
+    }
+
+    const { text, notes } = req.body;
+    if (text !== undefined) {
+      if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Text cannot be empty' });
+      }
+      version.text = text;
+    }
+    if (notes !== undefined) {
+      version.notes = notes;
+    }
+
+    prompt.updatedBy = req.user.id;
+    await prompt.save();
+
+    res.json({ success: true, message: 'Draft updated successfully', version });
+  } catch (error) {
+    console.error('Update prompt version error:', error);
+    res.status(500).json({ error: 'Failed to update prompt version', message: error.message });
+  }
+};
+
+// Publish a draft version, making it the default for this prompt
+exports.publishVersion = async (req, res) => {
+  try {
+    const prompt = await findPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const version = prompt.getVersion(parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    if (version.status === 'published') {
+      return res.status(409).json({ error: 'Version already published' });
+    }
+
+    const published = prompt.getPublishedVersion();
+    if (published && published.version > version.version) {
+      return res.status(409).json({
+        error: 'Newer version already published',
+        message: `Version ${published.version} is already published. Create a new version instead.`
+      });
+    }
+
+    version.status = 'published';
+    version.publishedBy = req.user.id;
+    version.publishedAt = new Date();
+    prompt.updatedBy = req.user.id;
+    await prompt.save();
+
+    console.log(`Prompt "${prompt.name}" v${version.version} published by ${req.user.email}`);
+
+    res.json({ success: true, message: `Version ${version.version} published`, version });
+  } catch (error) {
+    console.error('Publish prompt version error:', error);
+    res.status(500).json({ error: 'Failed to publish prompt version', message: error.message });
+  }
+};
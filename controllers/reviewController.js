@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const ExtractionRun = require('../models/ExtractionRun');
+const ExtractedItem = require('../models/ExtractedItem');
+const reviewService = require('../services/reviewService');
+const auditService = require('../services/auditService');
+
+// Runs are reviewed once processing has finished and until they are approved (approval signs off
+// the totals), sending the 409 response otherwise
+const ensureReviewable = (run, res) => {
+  if (run.status === 'processing') {
+    res.status(409).json({
+      error: 'Run still processing',
+      message: 'Items can be reviewed once the run has finished'
+    });
+    return false;
+  }
+  if (run.reviewStatus === 'approved') {
+    res.status(409).json({
+      error: 'Run already approved',
+      message: `The run was approved by ${run.approvedBy} and can no longer be changed`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Optional note from the body, sending the 400 response when it is not text
+const readNote = (req, res) => {
+  const { note } = req.body;
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    res.status(400).json({ error: 'Invalid note', message: 'note must be text' });
+    return null;
+  }
+  return { note: note === null ? undefined : note };
+};
+
+// Recompute the run's review state and record the run approval the first time it happens
+const refreshRun = async (req, run, options) => {
+  const wasApproved = run.reviewStatus === 'approved';
+  const refreshed = await reviewService.refreshRun(run, { reviewer: req.user, ...options });
+
+  if (refreshed.reviewStatus === 'approved' && !wasApproved) {
+    console.log(`Run ${run._id} approved by ${req.user.email} (${refreshed.reviewedPages} pages)`);
+    await auditService.record({
+      req,
+      action: 'review.run_approve',
+      target: { type: 'run', id: String(run._id) },
+      details: { sessionId: run.sessionId, pages: refreshed.reviewedPages }
+    });
+  }
+  return refreshed;
+};
+
+// Finished runs of the reviewer's organization. Query: reviewStatus (comma-separated, default
+// pending,in_review), userId, page, limit
+exports.listRuns = async (req, res) => {
+  try {
+    const statuses = String(req.query.reviewStatus || 'pending,in_review').split(',').map(value => value.trim()).filter(Boolean);
+    const invalid = statuses.filter(status => !reviewService.RUN_REVIEW_STATUSES.includes(status));
+    if (statuses.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid review status',
+        message: `reviewStatus must be a comma-separated list of: ${reviewService.RUN_REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const { userId } = req.query;
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user', message: 'userId is not a valid user id' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = {
+      organization: req.user.organization,
+      status: { $ne: 'processing' },
+      reviewStatus: { $in: statuses }
+    };
+    if (userId) filter.user = userId;
+
+    const [runs, total] = await Promise.all([
+      ExtractionRun.find(filter)
+        .select('sessionId userEmail mode model status totalPages totalItems sourceFile reviewStatus reviewedPages approvedBy approvedAt createdAt completedAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExtractionRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List review runs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch runs for review',
+      message: error.message
+    });
+  }
+};
+
+// A run with every item and its review state, plus per-page review counts
+exports.getRun = async (req, res) => {
+  try {
+    const run = await reviewService.findRun(req.params.runId, req.user.organization);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const items = await ExtractedItem.find({ run: run._id })
+      .sort({ pageNumber: 1, category: 1, position: 1 });
+
+    res.json({
+      success: true,
+      run: reviewService.formatRunReview(run),
+      pages: reviewService.summarizePages(run, items),
+      items: items.map(reviewService.formatItem)
+    });
+  } catch (error) {
+    console.error('Get review run error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch run for review',
+      message: error.message
+    });
+  }
+};
+
+const reviewItem = (status) => async (req, res) => {
+  try {
+    const { item, run } = await reviewService.findItem(req.params.itemId, req.user.organization);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (!ensureReviewable(run, res)) return;
+
+    const body = readNote(req, res);
+    if (!body) return;
+
+    let corrections;
+    if (status === 'corrected') {
+      const read = reviewService.readCorrections(req.body.data);
+      if (read.error) {
+        return res.status(400).json({ error: 'Invalid correction', message: read.error });
+      }
+      corrections = read.corrections;
+    }
+
+    const previousStatus = item.reviewStatus;
+    await reviewService.reviewItem(item, run, { status, corrections, note: body.note, reviewer: req.user });
+    const refreshed = await refreshRun(req, run, { recalculate: !!corrections || item.reviewStatus === 'rejected' || previousStatus === 'rejected' });
+
+    console.log(`Item ${item._id} (run ${run._id}, page ${item.pageNumber}) ${item.reviewStatus} by ${req.user.email}`);
+    await auditService.record({
+      req,
+      action: 'review.item',
+      target: { type: 'item', id: String(item._id) },
+      details: {
+        runId: String(run._id),
+        pageNumber: item.pageNumber,
+        category: item.category,
+        from: previousStatus,
+        to: item.reviewStatus,
+        fields: corrections ? Object.keys(corrections) : undefined,
+        note: body.note
+      }
+    });
+
+    res.json({
+      success: true,
+      item: reviewService.formatItem(item),
+      run: reviewService.formatRunReview(refreshed)
+    });
+  } catch (error) {
+    console.error('Review item error:', error);
+    res.status(500).json({
+      error: 'Failed to review item',
+      message: error.message
+    });
+  }
+};
+
+// Edit field values. Body: data ({ FIELD: value }), optional note
+exports.correctItem = reviewItem('corrected');
+// Body: optional note
+exports.approveItem = reviewItem('approved');
+exports.rejectItem = reviewItem('rejected');
+
+const reviewPage = (status) => async (req, res) => {
+  try {
+    const run = await reviewService.findRun(req.params.runId, req.user.organization);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    if (!ensureReviewable(run, res)) return;
+
+    const pageNumber = parseInt(req.params.pageNumber, 10);
+    if (!run.pages.some(page => page.pageNumber === pageNumber)) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const body = readNote(req, res);
+    if (!body) return;
+
+    const changed = await reviewService.reviewPage(run, pageNumber, { status, note: body.note, reviewer: req.user });
+    const refreshed = await refreshRun(req, run, { reviewedPage: pageNumber, recalculate: status === 'rejected' });
+
+    console.log(`Page ${pageNumber} of run ${run._id} ${status} by ${req.user.email} (${changed} items)`);
+    await auditService.record({
+      req,
+      action: 'review.page',
+      target: { type: 'run', id: String(run._id) },
+      details: { pageNumber, status, items: changed, note: body.note }
+    });
+
+    res.json({
+      success: true,
+      pageNumber,
+      updatedItems: changed,
+      run: reviewService.formatRunReview(refreshed)
+    });
+  } catch (error) {
+    console.error('Review page error:', error);
+    res.status(500).json({
+      error: 'Failed to review page',
+      message: error.message
+    });
+  }
+};
+
+// Approve the page's pending items (corrected and rejected items keep their status)
+exports.approvePage = reviewPage('approved');
+// Reject every item on the page
+exports.rejectPage = reviewPage('rejected');
@@ -0,0 +1,107 @@
+const ExtractionRun = require('../models/ExtractionRun');
+const ExtractedItem = require('../models/ExtractedItem');
+const extractionRunService = require('../services/extractionRunService');
+
+const RUN_STATUSES = ExtractionRun.schema.path('status').enumValues;
+
+// List past runs for the current user
+exports.listRuns = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { status } = req.query;
+    if (status !== undefined && status !== '' && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${RUN_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = { user: userId };
+    if (status) {
+      filter.status = status;
+    }
+
+    const [runs, total] = await Promise.all([
+      ExtractionRun.find(filter)
+        .select('-pages.rawOutput -prompt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExtractionRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List runs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch runs',
+      message: error.message
+    });
+  }
+};
+
+// Get a single run with all of its extracted items
+exports.getRun = async (req, res) => {
+  try {
+    const run = await extractionRunService.findUserRun(req.params.runId, req.user.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const items = await ExtractedItem.find({ run: run._id })
+      .sort({ pageNumber: 1, category: 1, position: 1 });
+
+    res.json({
+      success: true,
+      run,
+      collectedResult: extractionRunService.buildCollectedResult(items),
+      totalItems: items.length
+    });
+  } catch (error) {
+    console.error('Get run error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch run',
+      message: error.message
+    });
+  }
+};
+
+// Delete a run and its items
+exports.deleteRun = async (req, res) => {
+  try {
+    const run = await extractionRunService.findUserRun(req.params.runId, req.user.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const { deletedCount } = await ExtractedItem.deleteMany({ run: run._id });
+    await run.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Run deleted successfully',
+      runId: run._id,
+      deletedItems: deletedCount
+    });
+  } catch (error) {
+    console.error('Delete run error:', error);
+    res.status(500).json({
+      error: 'Failed to delete run',
+      message: error.message
+    });
+  }
+};
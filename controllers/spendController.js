@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const spendService = require('../services/spendService');
+const modelRegistry = require('../services/modelRegistry');
+const { hasRole } = require('../middleware/auth');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Spend by user, model and/or month. Users see their own spend; administrators see everyone's in
+// their organization (or one user's with ?userId=). Query: groupBy=user,model,month, from=YYYY-MM, to=YYYY-MM.
+exports.getSpend = async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'month').split(',').map(field => field.trim()).filter(Boolean);
+    const invalidGroups = groupBy.filter(field => !spendService.GROUP_FIELDS.includes(field));
+    if (groupBy.length === 0 || invalidGroups.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid groupBy',
+        message: `groupBy must be a comma-separated list of: ${spendService.GROUP_FIELDS.join(', ')}`
+      });
+    }
+
+    const { from, to } = req.query;
+    if ((from && !MONTH_PATTERN.test(from)) || (to && !MONTH_PATTERN.test(to))) {
+      return res.status(400).json({
+        error: 'Invalid month',
+        message: 'from and to must be months in YYYY-MM format'
+      });
+    }
+
+    let userId = req.user.id;
+    if (hasRole(req.user, 'admin')) {
+      userId = req.query.userId || null;
+      if (userId && !mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ error: 'Invalid user', message: 'userId is not a valid user id' });
+      }
+    }
+
+    const spend = await spendService.getSpend({ userId, organization: req.user.organization, from, to, groupBy });
+    res.json({ success: true, scope: userId ? 'user' : 'all', ...spend });
+  } catch (error) {
+    console.error('Get spend error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch spend',
+      message: error.message
+    });
+  }
+};
+
+// Current user's spend this month against their budget and their organization's global budget
+exports.getMyBudget = async (req, res) => {
+  try {
+    const budgets = await spendService.getBudgetStatus(req.user.id, req.user.organization);
+    res.json({ success: true, month: spendService.currentMonth(), budgets });
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budget',
+      message: error.message
+    });
+  }
+};
+
+// Pre-flight estimate: { model or consensus, pageCount } -> estimated cost and what the budget check would do
+exports.estimate = async (req, res) => {
+  try {
+    const { model = modelRegistry.getDefaultModel(), consensus } = req.body;
+    const pageCount = parseInt(req.body.pageCount, 10);
+    const consensusModels = Array.isArray(consensus) ? consensus : [];
+
+    if (!pageCount || pageCount < 1) {
+      return res.status(400).json({
+        error: 'Page count required',
+        message: 'pageCount must be a positive number'
+      });
+    }
+
+    if (consensusModels.length === 0 && !modelRegistry.isEnabled(model)) {
+      return res.status(400).json({
+        error: 'Invalid model',
+        message: `Model must be one of: ${modelRegistry.getEnabledModelIds().join(', ')}`
+      });
+    }
+
+    const check = await spendService.checkBudget({
+      userId: req.user.id,
+      organization: req.user.organization,
+      model: consensusModels.length > 0 ? consensusModels.join('+') : model,
+      consensusModels,
+      pageCount
+    });
+
+    res.json({ success: true, pageCount, ...check });
+  } catch (error) {
+    console.error('Spend estimate error:', error);
+    res.status(500).json({
+      error: 'Failed to estimate spend',
+      message: error.message
+    });
+  }
+};
+
+// Budget defaults and the overrides of the admin's organization: its global budget and its users' (admin)
+exports.listBudgets = async (req, res) => {
+  try {
+    const userIds = await User.find({ organization: req.user.organization }).distinct('_id');
+    const budgets = await spendService.listBudgets({ organization: req.user.organization, userIds });
+    res.json({ success: true, ...budgets });
+  } catch (error) {
+    console.error('List budgets error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budgets',
+      message: error.message
+    });
+  }
+};
+
+// Validated { monthlyLimit, action } from the body, sending the 400 response on failure
+const readBudgetBody = (req, res) => {
+  const { monthlyLimit, action } = req.body;
+  const limit = monthlyLimit === null ? null : parseFloat(monthlyLimit);
+
+  if (monthlyLimit === undefined || (limit !== null && (isNaN(limit) || limit < 0))) {
+    res.status(400).json({
+      error: 'Invalid budget',
+      message: 'monthlyLimit must be a non-negative USD amount, or null for unlimited'
+    });
+    return null;
+  }
+
+  if (action !== undefined && !spendService.ACTIONS.includes(action)) {
+    res.status(400).json({
+      error: 'Invalid budget',
+      message: `action must be one of: ${spendService.ACTIONS.join(', ')}`
+    });
+    return null;
+  }
+
+  return { monthlyLimit: limit, action };
+};
+
+// Set the organization's global budget, or a user's with /budgets/users/:userId (admin)
+exports.setBudget = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId, organization: req.user.organization }))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+    }
+
+    const body = readBudgetBody(req, res);
+    if (!body) return;
+
+    const budget = await spendService.setBudget({ userId, organization: req.user.organization, ...body, updatedBy: req.user.email });
+    console.log(`Budget ${userId ? `for user ${userId}` : `global for organization ${req.user.organization}`} set by ${req.user.email}: ${body.monthlyLimit === null ? 'unlimited' : `$${body.monthlyLimit}`} (${budget.action})`);
+
+    res.json({ success: true, budget });
+  } catch (error) {
+    console.error('Set budget error:', error);
+    res.status(500).json({
+      error: 'Failed to set budget',
+      message: error.message
+    });
+  }
+};
+
+// Remove a budget override so the BUDGET_* default applies again (admin)
+exports.removeBudget = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId && (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId, organization: req.user.organization })))) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const removed = await spendService.removeBudget({ userId, organization: req.user.organization });
+    if (!removed) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json({ success: true, message: 'Budget override removed' });
+  } catch (error) {
+    console.error('Remove budget error:', error);
+    res.status(500).json({
+      error: 'Failed to remove budget',
+      message: error.message
+    });
+  }
+};
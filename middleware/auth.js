@@ -1,8 +1,79 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const apiKeyService = require('../services/apiKeyService');
+const tokenService = require('../services/tokenService');
+const organizationService = require('../services/organizationService');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Emails in ADMIN_EMAILS (comma-separated) always have the admin role - bootstraps the first administrators
+const isBootstrapAdmin = (email) => {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(adminEmail => adminEmail.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(email.toLowerCase());
+};
+
+// Essential user fields attached to req.user
+const toRequestUser = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  name: user.name,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  profilePicture: user.profilePicture,
+  role: user.role,
+  organization: user.organization ? user.organization.toString() : null,
+  lastLogin: user.lastLogin
+});
+
+// API key alternative to the JWT: the key's owner must be active, and its scopes must allow the request
+const authenticateApiKey = async (req, res, next, key) => {
+  const { apiKey, error } = await apiKeyService.authenticate(key, req);
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: error
+    });
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user || !user.isActive) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: user ? 'Account is deactivated' : 'API key owner not found'
+    });
+  }
+
+  if (!(await organizationService.isMember(user))) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Domain not allowed'
+    });
+  }
+
+  if (!apiKeyService.allowsRequest(apiKey.scopes, req)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: `API key scope (${apiKey.scopes.join(', ')}) does not allow ${req.method} ${req.originalUrl.split('?')[0]}`
+    });
+  }
+
+  req.user = {
+    ...toRequestUser(user),
+    apiKey: { id: apiKey._id.toString(), prefix: apiKey.prefix, scopes: apiKey.scopes }
+  };
+
+  next();
+};
 
 const requireAuth = async (req, res, next) => {
   try {
+    const apiKey = apiKeyService.extractKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -13,7 +84,7 @@ const requireAuth = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.SESSION_SECRET);
+    const decoded = await tokenService.verifyAccessToken(token);
     
     // Fetch fresh user data to ensure user still exists and is valid
     const user = await User.findById(decoded.id);
@@ -25,8 +96,8 @@ const requireAuth = async (req, res, next) => {
       });
     }
 
-    // Verify domain restriction
-    if (!user.email.endsWith('@gncgroup.ca')) {
+    // Verify the organization still allows the user's email domain
+    if (!(await organizationService.isMember(user))) {
       return res.status(403).json({ 
         error: 'Access denied',
         message: 'Domain not allowed' 
@@ -43,18 +114,13 @@ const requireAuth = async (req, res, next) => {
 
     // Update last login timestamp
     user.lastLogin = new Date();
+    if (user.role !== 'admin' && isBootstrapAdmin(user.email)) {
+      user.role = 'admin';
+    }
     await user.save();
 
     // Attach user to request object with essential fields only
-    req.user = {
-      id: user._id.toString(),
-      email: user.email,
-      name: user.name,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      profilePicture: user.profilePicture,
-      lastLogin: user.lastLogin
-    };
+    req.user = toRequestUser(user);
     
     next();
   } catch (error) {
@@ -72,6 +138,20 @@ const requireAuth = async (req, res, next) => {
       });
     }
 
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Token revoked'
+      });
+    }
+
+    if (error.name === 'TokenCheckUnavailableError') {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'Authentication is temporarily unavailable'
+      });
+    }
+
     console.error('Auth middleware error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -90,19 +170,11 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.SESSION_SECRET);
+    const decoded = await tokenService.verifyAccessToken(token);
     const user = await User.findById(decoded.id);
 
-    if (user && user.email.endsWith('@gncgroup.ca') && user.isActive) {
-      req.user = {
-        id: user._id.toString(),
-        email: user.email,
-        name: user.name,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        profilePicture: user.profilePicture,
-        lastLogin: user.lastLogin
-      };
+    if (user && user.isActive && await organizationService.isMember(user)) {
+      req.user = toRequestUser(user);
     }
 
     next();
@@ -153,6 +225,43 @@ const createUserRateLimit = (maxRequests = 10, windowMs = 15 * 60 * 1000) => {
   };
 };
 
+// Admins pass every role check
+const hasRole = (user, ...roles) => {
+  return !!user && (user.role === 'admin' || roles.includes(user.role));
+};
+
+// Use after requireAuth: requireRole('admin'), requireRole('reviewer') ...
+// API keys only act with their owner's role when they have the full scope.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: `Requires the ${roles.join(' or ')} role`
+    });
+  }
+
+  if (req.user.apiKey && !req.user.apiKey.scopes.includes('full')) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: `Requires the ${roles.join(' or ')} role and an API key with the full scope`
+    });
+  }
+
+  next();
+};
+
+// Use after requireAuth on routes that must not be reachable with an API key (key management)
+const requireInteractive = (req, res, next) => {
+  if (req.user?.apiKey) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+
+  next();
+};
+
 const checkAuth = (req, res, next) => {
   res.json({ isAuthenticated: false });
 };
@@ -160,6 +269,11 @@ const checkAuth = (req, res, next) => {
 module.exports = {
   requireAuth,
   optionalAuth,
+  requireRole,
+  requireInteractive,
+  hasRole,
+  isBootstrapAdmin,
+  ROLES,
   createUserRateLimit,
   checkAuth
 };
\ No newline at end of file
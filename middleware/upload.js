@@ -0,0 +1,42 @@
+const multer = require('multer');
+
+const MAX_PDF_SIZE_MB = parseInt(process.env.PDF_MAX_FILE_SIZE_MB, 10) || 50;
+
+// PDFs are kept in memory and rasterized straight from the buffer
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PDF_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'application/pdf') {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Single PDF in the "pdf" field, with multer errors returned as JSON
+const uploadPdf = (req, res, next) => {
+  pdfUpload.single('pdf')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `PDF exceeds the ${MAX_PDF_SIZE_MB}MB limit`,
+        LIMIT_UNEXPECTED_FILE: 'Please upload a single PDF file in the "pdf" field'
+      };
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: messages[err.code] || err.message
+      });
+    }
+
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadPdf
+};
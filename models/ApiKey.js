@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// API key for scripts and devices that cannot use the Google sign-in. Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Owner; requests made with the key act as this user (a person or a service account)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the full key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, shown in listings so the key can be recognized
+  prefix: {
+    type: String,
+    required: true
+  },
+  // read: GET requests only; processing: submit, follow and cancel processing; full: everything the owner can do
+  scopes: {
+    type: [{ type: String, enum: ['read', 'processing', 'full'] }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  createdBy: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: String
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('GNCApiKey', apiKeySchema);
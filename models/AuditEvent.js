@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Append-only audit log: logins, profile and account changes, processing requests and exports
+const auditEventSchema = new mongoose.Schema({
+  // Acting user; unset for anonymous events
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  },
+  userEmail: {
+    type: String
+  },
+  // Organization of the acting user; admins only see their organization's events
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization'
+  },
+  // e.g. auth.login, user.profile_update, processing.request, processing.cancel, export.run
+  action: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'denied', 'refused', 'cancelled'],
+    default: 'success'
+  },
+  // What the action was performed on (a run, a session, another user)
+  target: {
+    type: { type: String },
+    id: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Prefix of the API key the request was made with
+  apiKey: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ organization: 1, createdAt: -1 });
+
+// Entries are never changed or removed through the application
+const rejectChange = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => auditEventSchema.pre(operation, rejectChange));
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model('GNCAuditEvent', auditEventSchema);
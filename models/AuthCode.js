@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use authorization code handed to the frontend after Google sign-in, exchanged for tokens
+// by POST /api/auth/token. Bound to the PKCE code challenge sent when the sign-in started.
+const authCodeSchema = new mongoose.Schema({
+  // SHA-256 of the code
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser',
+    required: true
+  },
+  // base64url(SHA-256(code_verifier)); only the S256 method is supported
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  // Refresh token family created by the exchange, revoked if the code is presented again
+  family: {
+    type: String
+  }
+}, { timestamps: true });
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GNCAuthCode', authCodeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Monthly AI spend limit, for all users of an organization (global) or one user. Overrides the
+// BUDGET_* defaults.
+const budgetSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'user'],
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization',
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  },
+  // USD per calendar month; null means unlimited
+  monthlyLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // What happens to a request that would exceed the limit
+  action: {
+    type: String,
+    enum: ['refuse', 'downgrade'],
+    default: 'refuse'
+  },
+  updatedBy: {
+    type: String
+  }
+}, { timestamps: true });
+
+budgetSchema.index({ scope: 1, organization: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('GNCBudget', budgetSchema);
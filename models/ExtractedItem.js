@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const extractedItemSchema = new mongoose.Schema({
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCExtractionRun',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  pageNumber: {
+    type: Number,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['labour', 'material', 'equipment', 'consumables', 'subtrade', 'labourTimesheet', 'equipmentLog'],
+    required: true
+  },
+  // Item exactly as sent over SSE (CAPITAL field names plus PAGE_NUMBER, SESSION_ID, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  model: {
+    type: String
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Human review: pending until a reviewer approves, corrects or rejects the item
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'corrected', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  },
+  reviewedByEmail: {
+    type: String
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String
+  },
+  // Data as extracted by the model, kept on the first correction
+  originalData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, { timestamps: true, minimize: false });
+
+extractedItemSchema.index({ run: 1, pageNumber: 1, category: 1, position: 1 });
+extractedItemSchema.index({ run: 1, reviewStatus: 1 });
+
+module.exports = mongoose.model('GNCExtractedItem', extractedItemSchema);
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+const apiCostFields = {
+  model: String,
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  inputCost: { type: Number, default: 0 },
+  outputCost: { type: Number, default: 0 },
+  pages: Number,
+  pageCost: Number,
+  totalCost: { type: Number, default: 0 },
+  // Cost avoided by results served from the result cache
+  savedCost: Number,
+  currency: { type: String, default: 'USD' }
+};
+
+const apiCostSchema = new mongoose.Schema({
+  ...apiCostFields,
+  // Per-model costs of a consensus run
+  breakdown: {
+    type: [new mongoose.Schema(apiCostFields, { _id: false })],
+    default: undefined
+  }
+}, { _id: false });
+
+const pageSchema = new mongoose.Schema({
+  pageNumber: {
+    type: Number,
+    required: true
+  },
+  // Model that produced the page (the fallback when failover kicked in)
+  model: {
+    type: String
+  },
+  rawOutput: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  // Items the model returned that were discarded (unknown category, missing data)
+  droppedCount: {
+    type: Number,
+    default: 0
+  },
+  droppedItems: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  validationSummary: {
+    valid: Number,
+    warning: Number,
+    invalid: Number
+  },
+  // Category subtotals, sales tax and total from calculationService
+  totals: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  apiCost: apiCostSchema,
+  // OCR providers (tesseract, textract): confidence and layout summary (per-word detail is not stored)
+  ocr: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Set when the page was produced by a fallback model: requested model and failed attempts
+  failover: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // The response hit the output token limit and was not completed by continuations, so rows may be missing
+  truncated: {
+    type: Boolean
+  },
+  // Follow-up requests made to complete a response cut off by the output token limit
+  continuations: {
+    type: Number
+  },
+  // Result came from the result cache (no API call, zero cost)
+  cached: {
+    type: Boolean
+  },
+  // Consensus runs: models used, per-model errors and item agreement counts
+  consensus: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once every item on the page has been reviewed (or the empty page was approved)
+  reviewedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: String
+  }
+}, { _id: false });
+
+const extractionRunSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser',
+    required: true,
+    index: true
+  },
+  userEmail: {
+    type: String
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization',
+    index: true
+  },
+  mode: {
+    type: String,
+    enum: ['single', 'batch'],
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  // Set for consensus runs; `model` then holds the models joined with '+'
+  consensusModels: {
+    type: [String],
+    default: undefined
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  // Set when the prompt came from the prompt library
+  promptRef: {
+    promptId: { type: mongoose.Schema.Types.ObjectId, ref: 'GNCPrompt' },
+    name: String,
+    version: Number,
+    status: String
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'cancelled', 'failed'],
+    default: 'processing'
+  },
+  totalPages: {
+    type: Number,
+    default: 0
+  },
+  // Set when pages were rasterized from an uploaded PDF
+  sourceFile: {
+    filename: String,
+    totalPages: Number,
+    selectedPages: [Number]
+  },
+  pages: [pageSchema],
+  totalItems: {
+    type: Number,
+    default: 0
+  },
+  apiCost: apiCostSchema,
+  totals: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  // approved only once every page has been reviewed; in_review after the first review action
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'in_review', 'approved'],
+    default: 'pending'
+  },
+  reviewedPages: {
+    type: Number,
+    default: 0
+  },
+  // Reviewer who completed the review and when
+  approvedBy: {
+    type: String
+  },
+  approvedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+extractionRunSchema.index({ user: 1, createdAt: -1 });
+extractionRunSchema.index({ organization: 1, reviewStatus: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GNCExtractionRun', extractionRunSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Tenant. Users sign in only with an email in one of its domains and see their organization's
+// users, sessions, prompts and results.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Lowercase email domains (e.g. gncgroup.ca); a domain belongs to at most one organization
+  domains: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    index: true
+  },
+  // Inactive organizations cannot sign in or use the API
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  },
+  updatedBy: {
+    type: String
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('GNCOrganization', organizationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const promptVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  },
+  publishedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const promptSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization'
+  },
+  description: {
+    type: String
+  },
+  versions: [promptVersionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser'
+  }
+}, { timestamps: true });
+
+// Names are unique within an organization's library
+promptSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+promptSchema.methods.getVersion = function (version) {
+  return this.versions.find(v => v.version === version) || null;
+};
+
+// Latest published version is what callers get when no version is requested
+promptSchema.methods.getPublishedVersion = function () {
+  const published = this.versions.filter(v => v.status === 'published');
+  return published.length > 0 ? published[published.length - 1] : null;
+};
+
+promptSchema.methods.getLatestVersion = function () {
+  return this.versions.length > 0 ? this.versions[this.versions.length - 1] : null;
+};
+
+module.exports = mongoose.model('GNCPrompt', promptSchema);
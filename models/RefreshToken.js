@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Rotating refresh token. Every sign-in starts a family; each refresh replaces the token with a
+// new one in the same family. Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser',
+    required: true,
+    index: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // SHA-256 of the token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token was exchanged; presenting it again revokes the family (token theft)
+  usedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  // logout, reuse, admin, deactivated
+  revokedReason: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, { timestamps: true });
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GNCRefreshToken', refreshTokenSchema);
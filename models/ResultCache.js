@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Analysis result for one page image, keyed by image content + prompt + model
+const resultCacheSchema = new mongoose.Schema({
+  // sha256 of `${organization}:${imageHash}:${promptHash}:${model}`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // sha256 of the base64 image data (without the data: prefix)
+  imageHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // sha256 of the resolved prompt text, so a prompt version and identical raw text share entries
+  promptHash: {
+    type: String,
+    required: true
+  },
+  promptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCPrompt',
+    index: true
+  },
+  // Results are only shared within an organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization',
+    index: true
+  },
+  promptVersion: {
+    type: Number
+  },
+  // Requested model, or the consensus models joined with +
+  model: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Model that produced the result (differs from model after failover)
+  modelUsed: {
+    type: String
+  },
+  parsed: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  raw: {
+    type: String
+  },
+  usage: {
+    inputTokens: Number,
+    outputTokens: Number,
+    pages: Number
+  },
+  // Cost of the original analysis (with the per-model breakdown for consensus results)
+  apiCost: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ocr: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  consensus: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  failover: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  continuations: {
+    type: Number
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+}, { timestamps: true, minimize: false });
+
+// Expired entries are removed by MongoDB
+resultCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GNCResultCache', resultCacheSchema);
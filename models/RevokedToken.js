@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Access token denylist. An entry revokes one token (jti), every token of a sign-in (family) or
+// every token a user was issued before a point in time (user). Entries expire once the access
+// tokens they cover would have expired anyway.
+const revokedTokenSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['token', 'family', 'user'],
+    required: true
+  },
+  // jti, family id or user id
+  value: {
+    type: String,
+    required: true
+  },
+  // kind user: tokens issued before this time are revoked
+  issuedBefore: {
+    type: Date
+  },
+  reason: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+revokedTokenSchema.index({ kind: 1, value: 1 });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GNCRevokedToken', revokedTokenSchema);
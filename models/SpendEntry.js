@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// AI spend ledger: one entry per analyzed page and model called
+const spendEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCUser',
+    required: true
+  },
+  userEmail: {
+    type: String
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization'
+  },
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCExtractionRun',
+    index: true
+  },
+  sessionId: {
+    type: String
+  },
+  pageNumber: {
+    type: Number
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  // Calendar month (UTC) the spend counts against, e.g. 2026-10
+  month: {
+    type: String,
+    required: true
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  pages: {
+    type: Number
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  // Cost avoided by a result cache hit
+  savedCost: {
+    type: Number
+  },
+  cached: {
+    type: Boolean
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  }
+}, { timestamps: true });
+
+spendEntrySchema.index({ month: 1, user: 1 });
+spendEntrySchema.index({ month: 1, model: 1 });
+spendEntrySchema.index({ organization: 1, month: 1 });
+
+module.exports = mongoose.model('GNCSpendEntry', spendEntrySchema);
@@ -10,10 +10,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
-    validate: {
-      validator: (email) => email.endsWith('@gncgroup.ca'),
-      message: 'Only @gncgroup.ca emails allowed'
-    }
+    lowercase: true,
+    trim: true,
+    // Allowed domains are configured per organization (services/organizationService.js)
+    match: [/^[^@\s]+@[^@\s]+$/, 'Invalid email address']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GNCOrganization',
+    index: true
   },
   name: { 
     type: String, 
@@ -32,9 +37,21 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // admin: user management and system-wide stats; reviewer: reviews extracted data; user: processing
+  role: {
+    type: String,
+    enum: ['admin', 'reviewer', 'user'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Non-interactive account (scanner station, scheduled scripts) that authenticates with API keys only.
+  // Its googleId is a placeholder that never matches a Google sign-in.
+  isServiceAccount: {
+    type: Boolean,
+    default: false
   }
 }, { timestamps: true });
 
@@ -0,0 +1,39 @@
+const express = require('express');
+const { requireAuth, requireRole, requireInteractive } = require('../middleware/auth');
+const adminController = require('../controllers/adminController');
+const imageController = require('../controllers/imageController');
+const apiKeyController = require('../controllers/apiKeyController');
+const organizationController = require('../controllers/organizationController');
+
+const router = express.Router();
+
+// Every admin route requires the admin role
+router.use(requireAuth, requireRole('admin'));
+
+// User management
+router.get('/users', adminController.listUsers);
+router.put('/users/:userId/role', adminController.setUserRole);
+router.post('/users/:userId/activate', adminController.activateUser);
+router.post('/users/:userId/deactivate', adminController.deactivateUser);
+router.post('/users/:userId/revoke-sessions', adminController.revokeSessions);
+
+// Service accounts and API keys (not manageable with an API key)
+router.get('/service-accounts', requireInteractive, apiKeyController.listServiceAccounts);
+router.post('/service-accounts', requireInteractive, apiKeyController.createServiceAccount);
+router.post('/service-accounts/:userId/api-keys', requireInteractive, apiKeyController.createServiceAccountKey);
+router.get('/api-keys', requireInteractive, apiKeyController.listAllKeys);
+router.delete('/api-keys/:keyId', requireInteractive, apiKeyController.revokeKey);
+
+// Organizations and their allowed email domains
+router.get('/organizations', organizationController.listOrganizations);
+router.post('/organizations', requireInteractive, organizationController.createOrganization);
+router.put('/organizations/:organizationId', requireInteractive, organizationController.updateOrganization);
+
+// Processing sessions and usage of the admin's organization
+router.get('/sessions', imageController.getAllSessions);
+router.get('/usage', adminController.getUsage);
+
+// Audit log of logins, account changes, processing requests and exports
+router.get('/audit', adminController.getAuditLog);
+
+module.exports = router;
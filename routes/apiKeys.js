@@ -0,0 +1,14 @@
+const express = require('express');
+const { requireAuth, requireInteractive } = require('../middleware/auth');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session only, never with another key
+router.use(requireAuth, requireInteractive);
+
+router.get('/', apiKeyController.listMyKeys);
+router.post('/', apiKeyController.createMyKey);
+router.delete('/:keyId', apiKeyController.revokeMyKey);
+
+module.exports = router;
@@ -1,45 +1,58 @@
 const express = require('express');
 const passport = require('passport');
 const jwt = require('jsonwebtoken');
+const auditService = require('../services/auditService');
+const tokenService = require('../services/tokenService');
+const authCodeService = require('../services/authCodeService');
+const organizationService = require('../services/organizationService');
 const router = express.Router();
 
-// Generate JWT Token
-function generateToken(user) {
-  return jwt.sign(
-    { 
-      id: user._id, 
-      email: user.email,
-      name: user.name 
-    },
-    process.env.SESSION_SECRET,
-    { expiresIn: '7d' }
-  );
-}
-
-// Google OAuth login
+// Google OAuth login. Requires a PKCE code_challenge (S256), carried through Google as the OAuth state.
 router.get('/google',
   (req, res, next) => {
+    const { code_challenge: codeChallenge, code_challenge_method: method = 'S256' } = req.query;
+    if (method !== 'S256' || !authCodeService.isValidChallenge(codeChallenge)) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=invalid_request`);
+    }
     console.log('ðŸ”µ Google OAuth initiated');
     next();
   },
-  passport.authenticate('google', { 
+  (req, res, next) => passport.authenticate('google', { 
     scope: ['profile', 'email'],
-    prompt: 'select_account'
-  })
+    prompt: 'select_account',
+    state: req.query.code_challenge
+  })(req, res, next)
 );
 
 // Google OAuth callback
 router.get('/google/callback',
   (req, res, next) => {
     console.log('ðŸ”µ Google callback received');
-    console.log('Query params:', req.query);
     next();
   },
-  passport.authenticate('google', { 
-    failureRedirect: `${process.env.FRONTEND_URL}/login?error=auth_failed`,
-    session: false
-  }),
-  (req, res) => {
+  // Custom callback so sign-ins refused by the strategy (unknown domains) are audited and
+  // redirected with their reason
+  (req, res, next) => passport.authenticate('google', { session: false }, async (error, user, info) => {
+    if (error) return next(error);
+
+    if (!user) {
+      if (info?.message === 'domain_not_allowed') {
+        await auditService.record({
+          req,
+          user: { email: info.email },
+          action: 'auth.login',
+          outcome: 'denied',
+          details: { provider: 'google', reason: 'domain_not_allowed' }
+        });
+        return res.redirect(`${process.env.FRONTEND_URL}/login?error=domain_not_allowed`);
+      }
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=auth_failed`);
+    }
+
+    req.user = user;
+    next();
+  })(req, res, next),
+  async (req, res) => {
     try {
       console.log('ðŸŸ¢ Google authentication successful');
       console.log('User:', req.user?.email);
@@ -50,20 +63,28 @@ router.get('/google/callback',
       }
 
       // Check domain restriction
-      if (!req.user.email.endsWith('@gncgroup.ca')) {
+      if (!(await organizationService.isMember(req.user))) {
         console.log('âŒ Domain not allowed:', req.user.email);
+        await auditService.record({ req, action: 'auth.login', outcome: 'denied', details: { provider: 'google', reason: 'domain_not_allowed' } });
         return res.redirect(`${process.env.FRONTEND_URL}/login?error=domain_not_allowed`);
       }
 
-      // Generate JWT token
-      const token = generateToken(req.user);
-      console.log('âœ… JWT token generated');
-      console.log('Token length:', token.length);
+      const codeChallenge = req.query.state;
+      if (!authCodeService.isValidChallenge(codeChallenge)) {
+        console.log('âŒ Missing PKCE code challenge in OAuth state');
+        return res.redirect(`${process.env.FRONTEND_URL}/login?error=invalid_request`);
+      }
+
+      // Single-use code bound to the challenge; the frontend exchanges it at POST /api/auth/token
+      const code = await authCodeService.createCode(req.user, codeChallenge);
+      console.log('âœ… Authorization code issued');
 
-      const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${token}`;
-      console.log('ðŸ”„ Redirecting to:', redirectUrl);
+      await auditService.record({ req, action: 'auth.login', details: { provider: 'google', role: req.user.role } });
 
-      res.redirect(redirectUrl);
+      // The code is not logged: together with a leaked verifier it is a credential
+      console.log('ðŸ”„ Redirecting to:', `${process.env.FRONTEND_URL}/auth/callback`);
+
+      res.redirect(`${process.env.FRONTEND_URL}/auth/callback?code=${code}`);
     } catch (error) {
       console.error('âŒ OAuth callback error:', error);
       res.redirect(`${process.env.FRONTEND_URL}/login?error=callback_failed`);
@@ -71,8 +92,49 @@ router.get('/google/callback',
   }
 );
 
+// Exchange the authorization code from the callback redirect. Body: code, code_verifier.
+// Returns the access token and sets the refresh token cookie.
+router.post('/token', async (req, res) => {
+  try {
+    const { code, code_verifier: codeVerifier } = req.body || {};
+    if (!code || !codeVerifier) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'code and code_verifier are required'
+      });
+    }
+
+    const result = await authCodeService.exchangeCode({ code, codeVerifier }, req);
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid authorization code',
+        message: result.error
+      });
+    }
+
+    tokenService.setRefreshCookie(res, result.refreshToken);
+    res.json({
+      success: true,
+      token: result.accessToken,
+      expiresIn: result.expiresIn,
+      user: {
+        id: result.user._id,
+        email: result.user.email,
+        name: result.user.name,
+        role: result.user.role
+      }
+    });
+  } catch (error) {
+    console.error('Authorization code exchange error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Authorization code exchange failed'
+    });
+  }
+});
+
 // Check auth status
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
   const authHeader = req.headers.authorization;
   
   console.log('ðŸ” Auth status check');
@@ -87,7 +149,7 @@ router.get('/status', (req, res) => {
   console.log('Token received, length:', token.length);
 
   try {
-    const decoded = jwt.verify(token, process.env.SESSION_SECRET);
+    const decoded = await tokenService.verifyAccessToken(token);
     console.log('âœ… Token valid for user:', decoded.email);
     res.json({ 
       isAuthenticated: true,
@@ -103,13 +165,83 @@ router.get('/status', (req, res) => {
   }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
-  console.log('ðŸ‘‹ User logged out');
-  res.json({ 
-    success: true,
-    message: 'Logged out successfully' 
-  });
+// Exchange the refresh token (cookie, or `refreshToken` in the body) for a new access token.
+// The refresh token is rotated: the old one stops working and the new one is set in the cookie.
+router.post('/refresh', async (req, res) => {
+  try {
+    const presented = tokenService.readRefreshToken(req);
+    if (!presented) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'No refresh token provided'
+      });
+    }
+
+    const result = await tokenService.rotateRefreshToken(presented, req);
+    if (result.error) {
+      tokenService.clearRefreshCookie(res);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: result.error
+      });
+    }
+
+    tokenService.setRefreshCookie(res, result.refreshToken);
+    res.json({
+      success: true,
+      token: result.accessToken,
+      expiresIn: result.expiresIn,
+      // Only returned to clients that sent the refresh token in the body
+      refreshToken: req.body?.refreshToken ? result.refreshToken : undefined
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Token refresh failed'
+    });
+  }
+});
+
+// Logout: revokes the refresh token family and the access token presented with the request
+router.post('/logout', async (req, res) => {
+  try {
+    const presented = tokenService.readRefreshToken(req);
+    const refreshUser = presented ? await tokenService.revokeRefreshToken(presented) : null;
+
+    let decoded = null;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        decoded = jwt.verify(authHeader.split(' ')[1], process.env.SESSION_SECRET);
+        await tokenService.revokeAccessToken(decoded);
+      } catch (error) {
+        // An expired or invalid access token needs no revoking
+      }
+    }
+
+    tokenService.clearRefreshCookie(res);
+
+    if (decoded || refreshUser) {
+      await auditService.record({
+        req,
+        user: decoded ? { _id: decoded.id, email: decoded.email } : { _id: refreshUser },
+        action: 'auth.logout'
+      });
+    }
+
+    console.log('ðŸ‘‹ User logged out');
+    res.json({ 
+      success: true,
+      message: 'Logged out successfully' 
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Logout failed'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
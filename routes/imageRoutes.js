@@ -1,7 +1,13 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { uploadPdf } = require('../middleware/upload');
 const imageController = require('../controllers/imageController');
-const geminiService = require('../services/geminiService');
+const runController = require('../controllers/runController');
+const jobController = require('../controllers/jobController');
+const exportController = require('../controllers/exportController');
+const cacheController = require('../controllers/cacheController');
+const modelRegistry = require('../services/modelRegistry');
+const promptService = require('../services/promptService');
 
 const router = express.Router();
 
@@ -11,37 +17,52 @@ router.use(requireAuth);
 // Process single image with page number, model, and optional custom prompt
 router.post('/process-image', imageController.processImage);
 
-// Process multiple images in batch
+// Process multiple images in batch (SSE stream, or a background job with async: true)
 router.post('/process-batch-images', imageController.processBatchImages);
 
-// Cancel processing
+// Upload a PDF, rasterize the selected pages and process them as a batch
+router.post('/process-pdf', uploadPdf, imageController.processPdf);
+
+// Resume a dropped batch event stream (Last-Event-ID replay)
+router.get('/sessions/:sessionId/events', imageController.resumeSessionEvents);
+
+// Cancel processing (streamed requests and background jobs)
 router.post('/cancel-processing', imageController.cancelProcessing);
 
+// Background batch jobs
+router.get('/jobs', jobController.listJobs);
+router.get('/jobs/:jobId', jobController.getJob);
+router.get('/jobs/:jobId/events', jobController.streamJobEvents);
+router.get('/jobs/:jobId/result', jobController.getJobResult);
+
 // Get active sessions for current user
 router.get('/active-sessions', imageController.getActiveSessions);
 
 // Get system statistics
 router.get('/system-stats', imageController.getSystemStats);
 
+// Past extraction runs for current user
+router.get('/runs', runController.listRuns);
+router.get('/runs/:runId', runController.getRun);
+router.delete('/runs/:runId', runController.deleteRun);
+
+// Excel export of extraction results
+router.post('/export', exportController.exportResults);
+router.get('/runs/:runId/export', exportController.exportRun);
+
+// Result cache administration
+router.get('/cache', requireRole('admin'), cacheController.getCacheStats);
+router.delete('/cache', requireRole('admin'), cacheController.invalidateCache);
+
 // Get available AI models
 router.get('/available-models', (req, res) => {
   try {
-    const models = [
-      { value: 'gemini-3.1-flash-lite', label: 'Gemini 3.1-Flash', description: 'Fast and efficient (Current)' },
-      { value: 'gemini-3.5-flash', label: 'Gemini 3.5 Flash', description: 'Faster with improved accuracy' },
-      { value: 'gemini-3.1-pro-preview', label: 'Gemini 3.1 Pro', description: 'Most accurate, slower processing' },
-      { value: 'claude-opus-4-8', label: 'Claude Opus 4', description: 'Highest accuracy, slower processing' },
-      { value: 'claude-sonnet-4-6', label: 'Claude Sonnet 4', description: 'Balanced speed and accuracy' },
-      { value: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4', description: 'Fastest Claude model' },
-      { value: 'gpt-4o', label: 'GPT-4o', description: 'OpenAI multimodal, high accuracy' },
-      { value: 'gpt-4o-mini', label: 'GPT-4o Mini', description: 'Fast and cost-effective' },
-      { value: 'gpt-4-turbo', label: 'GPT-4 Turbo', description: 'High accuracy, vision enabled' }
-    ];
+    const models = modelRegistry.listModels();
 
     res.json({
       success: true,
       models: models,
-      defaultModel: 'gemini-3.1-flash-lite',
+      defaultModel: modelRegistry.getDefaultModel(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -64,8 +85,8 @@ router.post('/validate-model', (req, res) => {
       });
     }
 
-    const allowedModels = ['gemini-3.1-flash-lite', 'gemini-3.5-flash', 'gemini-3.1-pro-preview', 'claude-opus-4-8', 'claude-sonnet-4-6', 'claude-haiku-4-5-20251001', 'gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
-    const isValid = allowedModels.includes(model);
+    const allowedModels = modelRegistry.getEnabledModelIds();
+    const isValid = modelRegistry.isEnabled(model);
 
     res.json({
       success: true,
@@ -82,10 +103,11 @@ router.post('/validate-model', (req, res) => {
   }
 });
 
-// Test single image analysis (for testing purposes)
-router.post('/test-analyze', async (req, res) => {
+// Test single image analysis (for testing purposes). Calls the model directly without a run,
+// budget check or spend entry, so it is limited to admins.
+router.post('/test-analyze', requireRole('admin'), async (req, res) => {
   try {
-    const { image, pageNumber = 1, model = 'gemini-3.1-flash-lite', prompt } = req.body;
+    const { image, pageNumber = 1, model = modelRegistry.getDefaultModel(), prompt, promptId, promptVersion } = req.body;
 
     if (!image) {
       return res.status(400).json({
@@ -94,21 +116,40 @@ router.post('/test-analyze', async (req, res) => {
       });
     }
 
-    if (!prompt) {
+    if (!modelRegistry.isEnabled(model)) {
+      return res.status(400).json({
+        error: 'Invalid model',
+        message: `Model must be one of: ${modelRegistry.getEnabledModelIds().join(', ')}`
+      });
+    }
+
+    let resolvedPrompt;
+    try {
+      resolvedPrompt = await promptService.resolvePrompt({ prompt, promptId, promptVersion, organization: req.user.organization });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid prompt',
+        message: error.message
+      });
+    }
+
+    if (!resolvedPrompt) {
       return res.status(400).json({
         error: 'Prompt required',
-        message: 'Please provide a prompt for data extraction'
+        message: 'Please provide a prompt or a promptId for data extraction'
       });
     }
 
+    const { promptRef } = resolvedPrompt;
+
     console.log(`Test analysis request from user: ${req.user.email}`);
-    console.log(`Page: ${pageNumber}, Model: ${model}, Prompt from frontend: Yes`);
+    console.log(`Page: ${pageNumber}, Model: ${model}, Prompt: ${promptRef ? `${promptRef.name} v${promptRef.version}` : 'From frontend'}`);
 
-    const result = await geminiService.analyzeImage(
+    const result = await modelRegistry.getAIService(model).analyzeImage(
       image,
       pageNumber,
       model,
-      prompt
+      resolvedPrompt.text
     );
 
     res.json({
@@ -116,6 +157,7 @@ router.post('/test-analyze', async (req, res) => {
       pageNumber: pageNumber,
       model: model,
       promptUsed: true, // Always true since prompt is required from frontend
+      promptRef: promptRef,
       extractedData: result.parsed,
       rawOutput: result.raw || JSON.stringify(result.parsed),
       error: result.error,
@@ -146,26 +188,41 @@ router.get('/health', (req, res) => {
     features: {
       singleImageProcessing: true,
       batchImageProcessing: true,
+      pdfProcessing: true,
       modelSelection: true,
       promptFromFrontend: true,
       userIsolation: true,
-      parallelProcessing: true
+      parallelProcessing: true,
+      backgroundJobs: true,
+      resumableStreams: true,
+      consensusExtraction: true,
+      resultCache: process.env.RESULT_CACHE !== 'false'
     },
-    availableModels: [
-      { value: 'gemini-3.1-flash-lite', label: 'Gemini 3.1-Flash', description: 'Fast and efficient (Current)' },
-      { value: 'gemini-3.5-flash', label: 'Gemini 3.5 Flash', description: 'Faster with improved accuracy' },
-      { value: 'gemini-3.1-pro-preview', label: 'Gemini 3.1 Pro', description: 'Most accurate, slower processing' }
-    ],
+    availableModels: modelRegistry.listModels(),
     endpoints: {
       processImage: 'POST /process-image',
       processBatch: 'POST /process-batch-images',
+      processPdf: 'POST /process-pdf',
+      resumeEvents: 'GET /sessions/:sessionId/events',
+      jobs: 'GET /jobs',
+      job: 'GET /jobs/:jobId',
+      jobEvents: 'GET /jobs/:jobId/events',
+      jobResult: 'GET /jobs/:jobId/result',
+      cancel: 'POST /cancel-processing',
       availableModels: 'GET /available-models',
       testAnalyze: 'POST /test-analyze',
+      runs: 'GET /runs',
+      run: 'GET /runs/:runId',
+      deleteRun: 'DELETE /runs/:runId',
+      exportResults: 'POST /export',
+      exportRun: 'GET /runs/:runId/export',
+      cacheStats: 'GET /cache (admin)',
+      invalidateCache: 'DELETE /cache (admin)',
       health: 'GET /health'
     },
     requirements: {
-      prompt: 'Required from frontend for all processing',
-      model: 'Optional - defaults to gemini-3.1-flash-lite',
+      prompt: 'Required for all processing - raw prompt text or promptId (optional promptVersion) from /api/prompts',
+      model: `Optional - defaults to ${modelRegistry.getDefaultModel()}`,
       authentication: 'Required for all endpoints'
     }
   });
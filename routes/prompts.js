@@ -0,0 +1,21 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const promptController = require('../controllers/promptController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Prompt library
+router.get('/', promptController.listPrompts);
+router.post('/', promptController.createPrompt);
+router.get('/:promptId', promptController.getPrompt);
+router.put('/:promptId', promptController.updatePrompt);
+router.delete('/:promptId', promptController.deletePrompt);
+
+// Versions
+router.post('/:promptId/versions', promptController.createVersion);
+router.put('/:promptId/versions/:version', promptController.updateVersion);
+router.post('/:promptId/versions/:version/publish', promptController.publishVersion);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const reviewController = require('../controllers/reviewController');
+
+const router = express.Router();
+
+// Reviewing extracted data requires the reviewer role (admins pass every role check)
+router.use(requireAuth, requireRole('reviewer'));
+
+// Runs awaiting review
+router.get('/runs', reviewController.listRuns);
+router.get('/runs/:runId', reviewController.getRun);
+
+// Whole pages
+router.post('/runs/:runId/pages/:pageNumber/approve', reviewController.approvePage);
+router.post('/runs/:runId/pages/:pageNumber/reject', reviewController.rejectPage);
+
+// Single items
+router.put('/items/:itemId', reviewController.correctItem);
+router.post('/items/:itemId/approve', reviewController.approveItem);
+router.post('/items/:itemId/reject', reviewController.rejectItem);
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
 const sessionStore = require('../services/sessionStore');
 
 const router = express.Router();
 
 // Modified authentication for image requests - handles both header and query token
-const authenticateImageRequest = (req, res, next) => {
+const authenticateImageRequest = async (req, res, next) => {
   try {
     let token = null;
     
@@ -26,7 +26,8 @@ const authenticateImageRequest = (req, res, next) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const decoded = jwt.verify(token, process.env.SESSION_SECRET);
+    // Revoked tokens (logout, admin revocation) are refused like invalid ones
+    const decoded = await tokenService.verifyAccessToken(token);
     req.user = { id: decoded.id, email: decoded.email, name: decoded.name };
     next();
   } catch (error) {
@@ -0,0 +1,21 @@
+const express = require('express');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const spendController = require('../controllers/spendController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Spend ledger and the current user's budget
+router.get('/', spendController.getSpend);
+router.get('/budget', spendController.getMyBudget);
+router.post('/estimate', spendController.estimate);
+
+// Budget administration
+router.get('/budgets', requireRole('admin'), spendController.listBudgets);
+router.put('/budgets/global', requireRole('admin'), spendController.setBudget);
+router.delete('/budgets/global', requireRole('admin'), spendController.removeBudget);
+router.put('/budgets/users/:userId', requireRole('admin'), spendController.setBudget);
+router.delete('/budgets/users/:userId', requireRole('admin'), spendController.removeBudget);
+
+module.exports = router;
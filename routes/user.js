@@ -1,6 +1,7 @@
 const express = require('express');
 const User = require('../models/User');
-const { requireAuth } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const { requireAuth, requireRole } = require('../middleware/auth');
 const router = express.Router();
 
 // Get current user profile
@@ -13,6 +14,8 @@ router.get('/profile', requireAuth, (req, res) => {
       firstName: req.user.firstName,
       lastName: req.user.lastName,
       profilePicture: req.user.profilePicture,
+      role: req.user.role,
+      organization: req.user.organization,
       lastLogin: req.user.lastLogin,
       createdAt: req.user.createdAt
     };
@@ -42,6 +45,16 @@ router.put('/profile', requireAuth, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await auditService.record({
+      req,
+      action: 'user.profile_update',
+      target: { type: 'user', id: String(updatedUser._id) },
+      details: {
+        before: { firstName: req.user.firstName, lastName: req.user.lastName },
+        after: { firstName: updatedUser.firstName, lastName: updatedUser.lastName }
+      }
+    });
+
     const user = {
       id: updatedUser._id,
       email: updatedUser.email,
@@ -49,6 +62,7 @@ router.put('/profile', requireAuth, async (req, res) => {
       firstName: updatedUser.firstName,
       lastName: updatedUser.lastName,
       profilePicture: updatedUser.profilePicture,
+      role: updatedUser.role,
       lastLogin: updatedUser.lastLogin,
       createdAt: updatedUser.createdAt,
       updatedAt: updatedUser.updatedAt
@@ -61,11 +75,11 @@ router.put('/profile', requireAuth, async (req, res) => {
   }
 });
 
-// Get all users
-router.get('/all', requireAuth, async (req, res) => {
+// Get all active users of the admin's organization (see /api/admin/users for inactive users and management)
+router.get('/all', requireAuth, requireRole('admin'), async (req, res) => {
   try {
-    const users = await User.find({ isActive: true })
-      .select('email name firstName lastName profilePicture lastLogin createdAt')
+    const users = await User.find({ isActive: true, organization: req.user.organization })
+      .select('email name firstName lastName profilePicture role lastLogin createdAt')
       .sort({ createdAt: -1 });
     
     res.json({ users });
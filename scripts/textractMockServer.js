@@ -0,0 +1,161 @@
+// Local stand-in for AWS Textract AnalyzeDocument, for development and tests.
+// Start with `npm run textract-mock` and set TEXTRACT_ENDPOINT=http://localhost:4599
+//
+// Documents are described in a fixture file (TEXTRACT_MOCK_FIXTURES) keyed by the sha256 of the
+// image bytes, with a `default` document for everything else:
+//   {
+//     "images": { "<sha256>": { "error": "ThrottlingException" } },
+//     "default": {
+//       "lines": ["ACME Supply Invoice"],
+//       "keyValues": { "Vendor": "ACME Supply", "Date": "2024-03-04" },
+//       "tables": [{ "title": "Materials", "rows": [["Description", "Qty", "Unit Price", "Amount"], ["Nails", "2", "$5.00", "$10.00"]] }]
+//     }
+//   }
+// The first row of each table is marked as the column header.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = parseInt(process.env.TEXTRACT_MOCK_PORT, 10) || 4599;
+
+const DEFAULT_DOCUMENT = {
+  lines: ['GNC Group Daily Cost Report'],
+  keyValues: {
+    'Vendor': 'Northline Construction Services',
+    'Invoice #': 'NCS-1042',
+    'Date': '2024-03-04'
+  },
+  tables: [
+    {
+      title: 'Labour',
+      rows: [
+        ['Name', 'Trade', 'Hours', 'Rate', 'Amount'],
+        ['Alex Martin', 'Carpenter', '8', '$62.50', '$500.00'],
+        ['Sam Tremblay', 'Labourer', '7.5', '$41.00', '$310.00'],
+        ['Total', '', '', '', '$810.00']
+      ]
+    },
+    {
+      title: 'Materials',
+      rows: [
+        ['Description', 'Qty', 'Unit', 'Unit Price', 'Amount'],
+        ['2x4 SPF Stud 8ft', '120', 'EA', '$4.15', '$498.00'],
+        ['1/2in Plywood', '40', 'SHT', '$38.90', '$1,556.00']
+      ]
+    }
+  ]
+};
+
+const loadFixtures = () => {
+  const fixturesPath = process.env.TEXTRACT_MOCK_FIXTURES;
+  if (!fixturesPath) return { images: {}, default: DEFAULT_DOCUMENT };
+  const fixtures = JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf8'));
+  return { images: fixtures.images || {}, default: fixtures.default || DEFAULT_DOCUMENT };
+};
+
+// Build Textract-shaped blocks (PAGE, LINE, WORD, TABLE, CELL, KEY_VALUE_SET) for a document
+const buildBlocks = (document) => {
+  const blocks = [];
+  let nextId = 1;
+  const add = (block) => {
+    const full = { Id: `block-${nextId++}`, Confidence: 98.5, ...block };
+    blocks.push(full);
+    return full;
+  };
+  const words = (text) => String(text).split(/\s+/).filter(Boolean).map(word => add({ BlockType: 'WORD', Text: word }));
+  const children = (list) => list.length > 0 ? [{ Type: 'CHILD', Ids: list.map(block => block.Id) }] : undefined;
+
+  const page = add({ BlockType: 'PAGE' });
+  const pageChildren = [];
+
+  (document.lines || []).forEach(text => {
+    pageChildren.push(add({ BlockType: 'LINE', Text: text, Relationships: children(words(text)) }));
+  });
+
+  Object.entries(document.keyValues || {}).forEach(([key, value]) => {
+    const valueBlock = add({ BlockType: 'KEY_VALUE_SET', EntityTypes: ['VALUE'], Relationships: children(words(value)) });
+    const keyBlock = add({
+      BlockType: 'KEY_VALUE_SET',
+      EntityTypes: ['KEY'],
+      Relationships: [...children(words(key)), { Type: 'VALUE', Ids: [valueBlock.Id] }]
+    });
+    pageChildren.push(keyBlock);
+  });
+
+  (document.tables || []).forEach(table => {
+    const cells = [];
+    table.rows.forEach((row, rowIndex) => {
+      row.forEach((text, columnIndex) => {
+        cells.push(add({
+          BlockType: 'CELL',
+          RowIndex: rowIndex + 1,
+          ColumnIndex: columnIndex + 1,
+          EntityTypes: rowIndex === 0 ? ['COLUMN_HEADER'] : undefined,
+          Relationships: children(words(text))
+        }));
+      });
+    });
+
+    const relationships = [...(children(cells) || [])];
+    if (table.title) {
+      const title = add({ BlockType: 'TABLE_TITLE', Text: table.title, Relationships: children(words(table.title)) });
+      relationships.push({ Type: 'TABLE_TITLE', Ids: [title.Id] });
+    }
+    pageChildren.push(add({ BlockType: 'TABLE', Relationships: relationships }));
+  });
+
+  page.Relationships = children(pageChildren);
+  return blocks;
+};
+
+const sendJson = (res, status, body, errorType) => {
+  const headers = { 'Content-Type': 'application/x-amz-json-1.1' };
+  if (errorType) headers['x-amzn-ErrorType'] = errorType;
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const target = req.headers['x-amz-target'];
+  if (req.method !== 'POST' || target !== 'Textract.AnalyzeDocument') {
+    return sendJson(res, 400, { __type: 'UnknownOperationException', message: `Unsupported operation: ${target || req.method}` }, 'UnknownOperationException');
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      const request = JSON.parse(body);
+      const bytes = request.Document && request.Document.Bytes;
+      if (!bytes) {
+        return sendJson(res, 400, { __type: 'InvalidParameterException', message: 'Document.Bytes is required' }, 'InvalidParameterException');
+      }
+
+      const fixtures = loadFixtures();
+      const hash = crypto.createHash('sha256').update(Buffer.from(bytes, 'base64')).digest('hex');
+      const document = fixtures.images[hash] || fixtures.default;
+
+      if (document.error) {
+        return sendJson(res, 400, { __type: document.error, message: `Simulated ${document.error}` }, document.error);
+      }
+
+      console.log(`AnalyzeDocument ${hash.substring(0, 12)} - ${(document.tables || []).length} table(s)`);
+      sendJson(res, 200, {
+        DocumentMetadata: { Pages: 1 },
+        Blocks: buildBlocks(document),
+        AnalyzeDocumentModelVersion: '1.0'
+      });
+    } catch (error) {
+      sendJson(res, 500, { __type: 'InternalServerError', message: error.message }, 'InternalServerError');
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Textract mock server listening on http://localhost:${PORT}`);
+  console.log(`Set TEXTRACT_ENDPOINT=http://localhost:${PORT} to use it`);
+});
@@ -13,10 +13,17 @@ const https = require('https');
 const http = require('http');
 
 const authMiddleware = require('./middleware/auth');
+const modelRegistry = require('./services/modelRegistry');
+const organizationService = require('./services/organizationService');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const imageRoutes = require('./routes/imageRoutes'); // Updated to match our file
 const secureImageRoutes = require('./routes/secureImages'); // Updated to match our file
+const promptRoutes = require('./routes/prompts');
+const spendRoutes = require('./routes/spend');
+const adminRoutes = require('./routes/admin');
+const apiKeyRoutes = require('./routes/apiKeys');
+const reviewRoutes = require('./routes/reviews');
 
 require('./config/passport');
 
@@ -117,8 +124,14 @@ app.use(passport.initialize());
 app.use(passport.session());
 
 // Connect to MongoDB
-mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ Connected to MongoDB'))
+// The server starts listening once the default organization migration has run, so users from
+// before organizations existed are not refused while it is in progress
+const databaseReady = mongoose.connect(process.env.MONGO_URI)
+  .then(() => {
+    console.log('✅ Connected to MongoDB');
+    return organizationService.ensureDefaultOrganization()
+      .catch(err => console.error('❌ Organization setup error:', err));
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Root route
@@ -133,21 +146,24 @@ app.get('/', (req, res) => {
       modelSelection: true,
       customPrompts: true,
       batchProcessing: true,
+      pdfProcessing: true,
       userIsolation: true,
       parallelProcessing: true,
       authenticationRequired: true
     },
-    availableModels: [
-      'gemini-3.1-flash-lite',
-      'gemini-3.5-flash',
-      'gemini-3.1-pro-preview'
-    ],
+    availableModels: modelRegistry.getEnabledModelIds(),
+    defaultModel: modelRegistry.getDefaultModel(),
     endpoints: {
       health: '/api/health',
       auth: '/api/auth',
       user: '/api/user',
       dashboard: '/api/dashboard',
       imageProcessing: '/api/images',
+      prompts: '/api/prompts',
+      spend: '/api/spend',
+      admin: '/api/admin (admin role)',
+      apiKeys: '/api/keys',
+      reviews: '/api/reviews (reviewer role)',
       secureImages: '/secure-images (authenticated)'
     },
     changelog: {
@@ -168,6 +184,11 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/images', imageRoutes); // NEW: Image processing routes
+app.use('/api/prompts', promptRoutes);
+app.use('/api/spend', spendRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Dashboard endpoint
 app.get('/api/dashboard', authMiddleware.requireAuth, (req, res) => {
@@ -183,11 +204,8 @@ app.get('/api/dashboard', authMiddleware.requireAuth, (req, res) => {
       customPrompts: true,
       batchProcessing: true
     },
-    availableModels: [
-      'gemini-3.1-flash-lite',
-      'gemini-3.5-flash',
-      'gemini-3.1-pro-preview'
-    ]
+    availableModels: modelRegistry.getEnabledModelIds(),
+    defaultModel: modelRegistry.getDefaultModel()
   });
 });
 
@@ -205,10 +223,12 @@ app.get('/api/health', (req, res) => {
       modelSelection: true,
       customPrompts: true,
       batchProcessing: true,
+      pdfProcessing: true,
       userIsolation: true,
       parallelProcessing: true,
       authenticationRequired: true
     },
+    availableModels: modelRegistry.getEnabledModelIds(),
     environment: process.env.NODE_ENV || 'development'
   });
 });
@@ -257,7 +277,15 @@ app.use((req, res) => {
       'GET /api/user/*',
       'POST /api/images/process-image',
       'POST /api/images/process-batch-images',
+      'POST /api/images/process-pdf',
+      'GET /api/images/sessions/:sessionId/events',
+      'GET /api/images/jobs/:jobId',
       'GET /api/images/available-models',
+      'GET /api/prompts',
+      'GET /api/spend',
+      'GET /api/admin/users',
+      'GET /api/keys',
+      'GET /api/reviews/runs',
       'GET /api/dashboard'
     ]
   });
@@ -270,49 +298,51 @@ const HOST = '0.0.0.0';
 const sslKeyPath = '/etc/letsencrypt/live/srv1047946.hstgr.cloud/privkey.pem';
 const sslCertPath = '/etc/letsencrypt/live/srv1047946.hstgr.cloud/fullchain.pem';
 
-if (fs.existsSync(sslKeyPath) && fs.existsSync(sslCertPath)) {
-  // HTTPS Server
-  const httpsOptions = {
-    key: fs.readFileSync(sslKeyPath),
-    cert: fs.readFileSync(sslCertPath)
-  };
+databaseReady.then(() => {
+  if (fs.existsSync(sslKeyPath) && fs.existsSync(sslCertPath)) {
+    // HTTPS Server
+    const httpsOptions = {
+      key: fs.readFileSync(sslKeyPath),
+      cert: fs.readFileSync(sslCertPath)
+    };
 
-  https.createServer(httpsOptions, app).listen(PORT, HOST, () => {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`✅ Secure HTTPS server running on https://${HOST}:${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
-    console.log('🖼️  IMAGE PROCESSING API v2.0.0 ready!');
-    console.log('✅ MongoDB session store active');
-    console.log('🔐 Authentication required for all processing');
-    console.log('👥 Multi-user isolation ACTIVE');
-    console.log('🤖 AI Model Selection: Gemini 3.1-Flash, 2.5 Flash, 2.5 Pro');
-    console.log('📝 Prompt from Frontend required');
-    console.log('⚡ Batch Processing with parallel execution');
-    console.log('🛡️ Secure image serving with authentication');
-    console.log('📊 Real-time processing status via SSE');
-    console.log(`${'='.repeat(70)}\n`);
-  });
-} else {
-  // HTTP Server (fallback)
-  http.createServer(app).listen(PORT, HOST, () => {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`⚠️ HTTP server running on http://${HOST}:${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
-    console.log('🖼️  IMAGE PROCESSING API v2.0.0 ready!');
-    console.log('✅ MongoDB session store active');
-    console.log('🔐 Authentication required for all processing');
-    console.log('👥 Multi-user isolation ACTIVE');
-    console.log('🤖 AI Model Selection: Gemini 3.1-Flash, 1.5 Pro, 1.5 Flash');
-    console.log('📝 Custom Prompt Support enabled');
-    console.log('⚡ Batch Processing with parallel execution');
-    console.log('🛡️ Secure image serving with authentication');
-    console.log('📊 Real-time processing status via SSE');
-    console.log('⚠️ Warning: SSL certificates not found. Running on HTTP.');
-    console.log(`${'='.repeat(70)}\n`);
-  });
-}
+    https.createServer(httpsOptions, app).listen(PORT, HOST, () => {
+      console.log(`\n${'='.repeat(70)}`);
+      console.log(`✅ Secure HTTPS server running on https://${HOST}:${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
+      console.log('🖼️  IMAGE PROCESSING API v2.0.0 ready!');
+      console.log('✅ MongoDB session store active');
+      console.log('🔐 Authentication required for all processing');
+      console.log('👥 Multi-user isolation ACTIVE');
+      console.log(`🤖 AI Model Selection: ${modelRegistry.getEnabledModelIds().join(', ')}`);
+      console.log('📝 Prompt from Frontend required');
+      console.log('⚡ Batch Processing with parallel execution');
+      console.log('🛡️ Secure image serving with authentication');
+      console.log('📊 Real-time processing status via SSE');
+      console.log(`${'='.repeat(70)}\n`);
+    });
+  } else {
+    // HTTP Server (fallback)
+    http.createServer(app).listen(PORT, HOST, () => {
+      console.log(`\n${'='.repeat(70)}`);
+      console.log(`⚠️ HTTP server running on http://${HOST}:${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
+      console.log('🖼️  IMAGE PROCESSING API v2.0.0 ready!');
+      console.log('✅ MongoDB session store active');
+      console.log('🔐 Authentication required for all processing');
+      console.log('👥 Multi-user isolation ACTIVE');
+      console.log(`🤖 AI Model Selection: ${modelRegistry.getEnabledModelIds().join(', ')}`);
+      console.log('📝 Custom Prompt Support enabled');
+      console.log('⚡ Batch Processing with parallel execution');
+      console.log('🛡️ Secure image serving with authentication');
+      console.log('📊 Real-time processing status via SSE');
+      console.log('⚠️ Warning: SSL certificates not found. Running on HTTP.');
+      console.log(`${'='.repeat(70)}\n`);
+    });
+  }
+});
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+const ApiKey = require('../models/ApiKey');
+
+// API keys for non-interactive clients (scheduled scripts, the site-office scanner station).
+// A key is sent as `Authorization: Bearer gnc_...` or `X-API-Key: gnc_...` and acts as its owner,
+// limited to the key's scopes. Keys are shown once on creation; only their SHA-256 is stored.
+//
+//   API_KEY_MAX_PER_USER   active keys a user or service account may hold (default 10)
+
+const KEY_PREFIX = 'gnc_';
+const SCOPES = ApiKey.schema.path('scopes').caster.enumValues;
+const MAX_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER, 10) || 10;
+
+// lastUsedAt is written at most once per minute per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// GET requests a read key may make: runs and their exports, background jobs and their results
+const READ_ROUTES = [
+  /^\/api\/images\/runs(\/[^/]+(\/export)?)?$/,
+  /^\/api\/images\/jobs(\/[^/]+(\/result)?)?$/,
+  /^\/api\/images\/available-models$/
+];
+
+// Requests a processing key may make: submitting, following and cancelling processing
+const PROCESSING_ROUTES = [
+  '/api/images/process-image',
+  '/api/images/process-batch-images',
+  '/api/images/process-pdf',
+  '/api/images/cancel-processing',
+  '/api/spend/estimate'
+];
+const PROCESSING_READ_ROUTES = [
+  /^\/api\/images\/sessions\/[^/]+\/events$/,
+  /^\/api\/images\/jobs(\/[^/]+(\/events|\/result)?)?$/,
+  /^\/api\/images\/available-models$/
+];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+// Raw key from the X-API-Key header or an `Authorization: Bearer gnc_...` header
+const extractKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (isApiKey(header)) return header;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.split(' ')[1];
+    if (isApiKey(token)) return token;
+  }
+  return null;
+};
+
+// Whether the key's scopes allow this request
+const allowsRequest = (scopes, req) => {
+  if (scopes.includes('full')) return true;
+
+  const route = `${req.baseUrl}${req.path}`.replace(/\/$/, '');
+  const isRead = req.method === 'GET';
+  if (scopes.includes('read') && isRead && READ_ROUTES.some(pattern => pattern.test(route))) return true;
+  if (scopes.includes('processing')) {
+    if (isRead) return PROCESSING_READ_ROUTES.some(pattern => pattern.test(route));
+    return PROCESSING_ROUTES.includes(route);
+  }
+  return false;
+};
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return 'revoked';
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+const formatKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  status: keyStatus(apiKey),
+  user: apiKey.user,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  revokedBy: apiKey.revokedBy
+});
+
+// Look up a raw key. Returns { apiKey } or { error } describing why it was refused.
+exports.authenticate = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+  if (!apiKey) return { error: 'Invalid API key' };
+
+  const status = keyStatus(apiKey);
+  if (status !== 'active') return { error: `API key ${status}` };
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+      .catch(error => console.error(`Failed to update last use of API key ${apiKey.prefix}:`, error.message));
+  }
+
+  return { apiKey };
+};
+
+exports.countActiveKeys = (userId) => {
+  return ApiKey.countDocuments({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Create a key for a user or service account. The raw key is only returned here.
+exports.createKey = async ({ userId, name, scopes, expiresInDays, createdBy }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    user: userId,
+    keyHash: hashKey(key),
+    prefix: key.substring(0, KEY_PREFIX.length + 8),
+    scopes,
+    createdBy,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  return { key, apiKey: formatKey(apiKey) };
+};
+
+// Keys of one user, or every key of the given users with their owners (admin)
+exports.listKeys = async ({ userId, userIds } = {}) => {
+  const query = userId ? ApiKey.find({ user: userId }) : ApiKey.find({ user: { $in: userIds } }).populate('user', 'email name isServiceAccount');
+  const keys = await query.sort({ createdAt: -1 });
+  return keys.map(formatKey);
+};
+
+// Revoke a key (kept for the record). userId restricts it to the owner's keys, userIds to the keys
+// of any of those users.
+exports.revokeKey = async ({ keyId, userId, userIds, revokedBy }) => {
+  const filter = { _id: keyId };
+  if (userId) filter.user = userId;
+  else if (userIds) filter.user = { $in: userIds };
+
+  const apiKey = await ApiKey.findOne(filter);
+  if (!apiKey) return null;
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = revokedBy;
+    await apiKey.save();
+  }
+  return formatKey(apiKey);
+};
+
+exports.extractKey = extractKey;
+exports.allowsRequest = allowsRequest;
+exports.SCOPES = SCOPES;
+exports.MAX_PER_USER = MAX_PER_USER;
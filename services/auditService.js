@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const AuditEvent = require('../models/AuditEvent');
+
+// Audit log writer and query. Recording never throws: a failed write is logged and the
+// request carries on, and nothing is recorded while MongoDB is unavailable.
+
+const OUTCOMES = AuditEvent.schema.path('outcome').enumValues;
+const MAX_LIMIT = 500;
+
+const isAvailable = () => mongoose.connection.readyState === 1;
+
+// Prompts are identified by hash so the log does not duplicate (possibly sensitive) prompt text
+const hashPrompt = (prompt) => prompt ? crypto.createHash('sha256').update(prompt).digest('hex') : undefined;
+
+// Record one event. `req` supplies the acting user, IP and user agent unless `user` is given.
+exports.record = async ({ req, user, action, outcome = 'success', target, details }) => {
+  if (!isAvailable()) return;
+
+  const actor = user || req?.user;
+  try {
+    await AuditEvent.create({
+      user: actor ? (actor._id || actor.id) : undefined,
+      userEmail: actor?.email,
+      organization: actor?.organization || undefined,
+      action,
+      outcome,
+      target,
+      details,
+      apiKey: req?.user?.apiKey?.prefix,
+      // req.ip honours `trust proxy`; the first X-Forwarded-For entry is client-controlled
+      ip: req?.ip,
+      userAgent: req?.headers?.['user-agent']
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error.message);
+  }
+};
+
+// Processing outcome for a finished run (completed, cancelled or failed)
+exports.recordRun = async (run, { status, apiCost, error }) => {
+  if (!run) return;
+
+  await exports.record({
+    user: { _id: run.user, email: run.userEmail, organization: run.organization },
+    action: 'processing.request',
+    outcome: status === 'completed' ? 'success' : status === 'failed' ? 'failure' : status,
+    target: { type: 'run', id: String(run._id) },
+    details: {
+      sessionId: run.sessionId,
+      mode: run.mode,
+      model: run.model,
+      consensusModels: run.consensusModels,
+      pageCount: run.totalPages,
+      pagesProcessed: run.pages ? run.pages.length : undefined,
+      items: run.totalItems,
+      promptHash: hashPrompt(run.prompt),
+      promptId: run.promptRef?.promptId,
+      promptVersion: run.promptRef?.version,
+      sourceFile: run.sourceFile?.filename,
+      cost: apiCost ? apiCost.totalCost : 0,
+      error
+    }
+  });
+};
+
+// Audit events, newest first. Filters: organization, userId, action (comma-separated; `processing` matches
+// processing.*), outcome, from / to dates, plus page and limit.
+exports.query = async ({ organization, userId, action, outcome, from, to, page = 1, limit = 100 }) => {
+  const filter = {};
+  if (organization) filter.organization = organization;
+  if (userId) filter.user = userId;
+  if (outcome) filter.outcome = outcome;
+  if (action) {
+    const actions = String(action).split(',').map(value => value.trim()).filter(Boolean);
+    filter.$or = actions.map(value => value.includes('.')
+      ? { action: value }
+      : { action: { $regex: `^${value.replace(/[^\w-]/g, '')}\\.` } });
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const pageSize = Math.min(Math.max(limit, 1), MAX_LIMIT);
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((Math.max(page, 1) - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  return { events, total, page: Math.max(page, 1), limit: pageSize };
+};
+
+exports.hashPrompt = hashPrompt;
+exports.OUTCOMES = OUTCOMES;
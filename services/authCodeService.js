@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+const AuthCode = require('../models/AuthCode');
+const User = require('../models/User');
+const tokenService = require('./tokenService');
+
+// One-time authorization codes with PKCE (RFC 7636, S256 only). The frontend creates a random
+// code_verifier, starts the sign-in with code_challenge = base64url(SHA-256(code_verifier)), gets
+// a code in the callback redirect and exchanges code + code_verifier for tokens. A code copied
+// from browser history or logs is useless without the verifier, expires quickly and works once.
+//
+//   AUTH_CODE_TTL_SECONDS   how long a code can be exchanged (default 60)
+
+const CODE_TTL_MS = (parseInt(process.env.AUTH_CODE_TTL_SECONDS, 10) || 60) * 1000;
+
+// S256 challenges are 32-byte hashes in base64url; verifiers are 43-128 unreserved characters
+const CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const challengeFor = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+const isValidChallenge = (challenge) => typeof challenge === 'string' && CHALLENGE_PATTERN.test(challenge);
+
+// Issue a code for a signed-in user, bound to the challenge from the start of the sign-in
+exports.createCode = async (user, codeChallenge) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await AuthCode.create({
+    codeHash: hashCode(code),
+    user: user._id,
+    codeChallenge,
+    expiresAt: new Date(Date.now() + CODE_TTL_MS)
+  });
+  return code;
+};
+
+// Exchange a code and its verifier. Returns { accessToken, refreshToken, expiresIn, user } or { error }.
+exports.exchangeCode = async ({ code, codeVerifier }, req) => {
+  if (typeof code !== 'string') {
+    return { error: 'code must be a string' };
+  }
+  if (typeof codeVerifier !== 'string' || !VERIFIER_PATTERN.test(codeVerifier)) {
+    return { error: 'code_verifier must be 43-128 characters of A-Z, a-z, 0-9, "-", ".", "_" or "~"' };
+  }
+
+  const stored = await AuthCode.findOne({ codeHash: hashCode(code) });
+  if (!stored) return { error: 'Invalid authorization code' };
+
+  if (stored.usedAt) {
+    // A second exchange means the code leaked - sign out whoever redeemed it first
+    if (stored.family) await tokenService.revokeFamily(stored.family, 'reuse');
+    return { error: 'Authorization code already used' };
+  }
+
+  if (stored.expiresAt <= new Date()) return { error: 'Authorization code expired' };
+
+  const expected = Buffer.from(stored.codeChallenge);
+  const actual = Buffer.from(challengeFor(codeVerifier));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'code_verifier does not match the code challenge' };
+  }
+
+  // Claim the code atomically so it cannot be exchanged twice concurrently
+  const claimed = await AuthCode.findOneAndUpdate({ _id: stored._id, usedAt: null }, { usedAt: new Date() });
+  if (!claimed) return { error: 'Authorization code already used' };
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) return { error: 'Account is deactivated' };
+
+  const tokens = await tokenService.issueTokens(user, req);
+  await AuthCode.updateOne({ _id: stored._id }, { family: tokens.family });
+
+  return { ...tokens, user };
+};
+
+exports.isValidChallenge = isValidChallenge;
@@ -1,38 +1,211 @@
-// Simplified calculation service - no calculations, just pass through data as-is
-exports.processPageData = (extractedData) => {
-  const pageResult = {
-    labour: [],
-    material: [],
-    equipment: [],
-    consumables: [],
-    subtrade: [],
-    labourTimesheet: [],
-    equipmentLog: []
-  };
+const { CATEGORIES, normalizeCategory, getFieldValue } = require('../config/categorySchemas');
+const { SALES_TAX_RATES, DEFAULT_PROVINCE } = require('../config/salesTax');
+const { parseNumber } = require('../utils/valueParsers');
+const validationService = require('./validationService');
+
+// Amounts within this many dollars of the recomputed value are not flagged
+const DEFAULT_TOLERANCE = parseFloat(process.env.AMOUNT_MISMATCH_TOLERANCE) || 0.05;
+
+// How each costed category's extended amount is computed; other categories carry no amounts
+const LINE_FORMULAS = {
+  labour: { quantity: 'HOURS', rate: 'RATE' },
+  material: { quantity: 'QUANTITY', rate: 'UNIT_PRICE' },
+  equipment: { quantity: 'QUANTITY', rate: 'RATE' },
+  consumables: { quantity: 'QUANTITY', rate: 'UNIT_PRICE' },
+  subtrade: null // lump sum, the extracted amount is used as-is
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const createEmptyPageResult = () => {
+  const pageResult = {};
+  CATEGORIES.forEach(category => {
+    pageResult[category] = [];
+  });
+  return pageResult;
+};
+
+// Sort extracted items into category buckets, validate each one against its
+// category schema and report what was dropped.
+// Data keeps the CAPITAL field names as returned by the model; each item gains a
+// VALIDATION annotation with its status, errors and warnings.
+exports.analyzePageData = (extractedData) => {
+  const pageResult = createEmptyPageResult();
+  const droppedItems = [];
+  const validationSummary = { valid: 0, warning: 0, invalid: 0 };
 
   if (Array.isArray(extractedData)) {
-    extractedData.forEach(item => {
-      const category = item.category?.toLowerCase();
-      
-      // Just pass through the data without any calculations
-      // Data will have CAPITAL field names as returned by Gemini
-      if (category === 'labour') {
-        pageResult.labour.push(item.data);
-      } else if (category === 'material') {
-        pageResult.material.push(item.data);
-      } else if (category === 'equipment') {
-        pageResult.equipment.push(item.data);
-      } else if (category === 'consumables') {
-        pageResult.consumables.push(item.data);
-      } else if (category === 'subtrade') {
-        pageResult.subtrade.push(item.data);
-      } else if (category === 'labourtimesheet') {
-        pageResult.labourTimesheet.push(item.data);
-      } else if (category === 'equipmentlog') {
-        pageResult.equipmentLog.push(item.data);
+    extractedData.forEach((item, index) => {
+      const category = normalizeCategory(item?.category);
+
+      if (!category) {
+        droppedItems.push({
+          index,
+          category: item?.category ?? null,
+          reason: item?.category ? 'Unknown category' : 'Missing category',
+          item
+        });
+        return;
       }
+
+      if (!item.data || typeof item.data !== 'object' || Array.isArray(item.data)) {
+        droppedItems.push({ index, category: item.category, reason: 'Missing data object', item });
+        return;
+      }
+
+      const validation = validationService.validateItem(category, item.data);
+      validationSummary[validation.status]++;
+
+      item.data.VALIDATION = validation;
+      pageResult[category].push(item.data);
     });
   }
 
-  return pageResult;
-};
\ No newline at end of file
+  return {
+    data: pageResult,
+    droppedItems,
+    droppedCount: droppedItems.length,
+    validationSummary
+  };
+};
+
+// Category buckets only, for callers that do not need the validation report
+exports.processPageData = (extractedData) => {
+  return exports.analyzePageData(extractedData).data;
+};
+
+// Recompute one item's extended amount and compare it with the extracted amount
+const calculateLine = (category, item, tolerance) => {
+  const formula = LINE_FORMULAS[category];
+  const extractedAmount = parseNumber(getFieldValue(item, category, 'AMOUNT'));
+
+  let calculatedAmount = null;
+  let quantity = null;
+  let rate = null;
+  if (formula) {
+    quantity = parseNumber(getFieldValue(item, category, formula.quantity));
+    rate = parseNumber(getFieldValue(item, category, formula.rate));
+    if (quantity !== null && rate !== null) {
+      calculatedAmount = roundCurrency(quantity * rate);
+    }
+  }
+
+  const difference = calculatedAmount !== null && extractedAmount !== null
+    ? roundCurrency(extractedAmount - calculatedAmount)
+    : null;
+
+  return {
+    quantity,
+    rate,
+    calculatedAmount,
+    extractedAmount,
+    // Recomputed amount wins; fall back to what the model read off the page
+    amount: calculatedAmount !== null ? calculatedAmount : extractedAmount,
+    difference,
+    mismatch: difference !== null && Math.abs(difference) > tolerance
+  };
+};
+
+// Sales tax on a subtotal for the given province
+exports.calculateSalesTax = (subtotal, province = DEFAULT_PROVINCE) => {
+  const code = String(province).toUpperCase();
+  const provinceTaxes = SALES_TAX_RATES[code];
+  if (!provinceTaxes) {
+    throw new Error(`Unknown province: ${province}`);
+  }
+
+  const taxes = provinceTaxes.taxes.map(tax => ({
+    type: tax.type,
+    rate: tax.rate,
+    amount: roundCurrency(subtotal * tax.rate / 100)
+  }));
+  const totalTax = roundCurrency(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  return {
+    province: code,
+    provinceName: provinceTaxes.name,
+    taxes,
+    totalTax
+  };
+};
+
+// Annotate each costed item with a CALCULATION block and build category subtotals,
+// sales tax and a grand total for the page
+exports.calculatePageTotals = (pageResult, { province = DEFAULT_PROVINCE, tolerance = DEFAULT_TOLERANCE } = {}) => {
+  const categories = {};
+  let subtotal = 0;
+  let mismatchCount = 0;
+
+  Object.keys(LINE_FORMULAS).forEach(category => {
+    const summary = { items: 0, pricedItems: 0, subtotal: 0, mismatches: 0 };
+
+    (pageResult[category] || []).forEach(item => {
+      const line = calculateLine(category, item, tolerance);
+      item.CALCULATION = line;
+
+      summary.items++;
+      if (line.amount !== null) {
+        summary.pricedItems++;
+        summary.subtotal += line.amount;
+      }
+      if (line.mismatch) summary.mismatches++;
+    });
+
+    summary.subtotal = roundCurrency(summary.subtotal);
+    subtotal += summary.subtotal;
+    mismatchCount += summary.mismatches;
+    categories[category] = summary;
+  });
+
+  subtotal = roundCurrency(subtotal);
+  const tax = exports.calculateSalesTax(subtotal, province);
+
+  return {
+    categories,
+    subtotal,
+    ...tax,
+    total: roundCurrency(subtotal + tax.totalTax),
+    mismatchCount,
+    tolerance,
+    currency: 'CAD'
+  };
+};
+
+// Combine page totals into run totals. Tax is recomputed on the combined subtotal
+// rather than summing per-page tax, so rounding matches a single invoice total.
+exports.combineTotals = (pageTotalsList, { province = DEFAULT_PROVINCE, tolerance = DEFAULT_TOLERANCE } = {}) => {
+  const categories = {};
+  Object.keys(LINE_FORMULAS).forEach(category => {
+    categories[category] = { items: 0, pricedItems: 0, subtotal: 0, mismatches: 0 };
+  });
+
+  pageTotalsList.filter(Boolean).forEach(pageTotals => {
+    Object.entries(pageTotals.categories).forEach(([category, summary]) => {
+      const combined = categories[category];
+      combined.items += summary.items;
+      combined.pricedItems += summary.pricedItems;
+      combined.subtotal = roundCurrency(combined.subtotal + summary.subtotal);
+      combined.mismatches += summary.mismatches;
+    });
+  });
+
+  const subtotal = roundCurrency(Object.values(categories).reduce((sum, c) => sum + c.subtotal, 0));
+  const tax = exports.calculateSalesTax(subtotal, province);
+
+  return {
+    categories,
+    subtotal,
+    ...tax,
+    total: roundCurrency(subtotal + tax.totalTax),
+    mismatchCount: Object.values(categories).reduce((sum, c) => sum + c.mismatches, 0),
+    tolerance,
+    currency: 'CAD'
+  };
+};
+
+// CALCULATION block for one item, e.g. after a reviewer corrected it (null for categories without amounts)
+exports.calculateItem = (category, item, { tolerance = DEFAULT_TOLERANCE } = {}) => {
+  return category in LINE_FORMULAS ? calculateLine(category, item, tolerance) : null;
+};
+
+exports.createEmptyPageResult = createEmptyPageResult;
@@ -1,11 +1,16 @@
 const Anthropic = require('@anthropic-ai/sdk');
 
-const CLAUDE_MODELS = ['claude-opus-4-8', 'claude-sonnet-4-6', 'claude-haiku-4-5-20251001'];
+const modelRegistry = require('./modelRegistry');
+const structuredOutput = require('./structuredOutput');
+const continuationService = require('./continuationService');
+
+// The SDK retries rate limits, 5xx and connection errors with backoff; failoverService takes over after that
+const MAX_RETRIES = process.env.ANTHROPIC_MAX_RETRIES !== undefined ? parseInt(process.env.ANTHROPIC_MAX_RETRIES, 10) || 0 : 2;
 
 let _client = null;
 const getClient = () => {
   if (!process.env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not configured');
-  if (!_client) _client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  if (!_client) _client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: MAX_RETRIES });
   return _client;
 };
 
@@ -27,37 +32,56 @@ const parseResponse = (text) => {
   }
 };
 
-const analyzeSingleImage = async (base64Data, modelName, prompt) => {
+const analyzeSingleImage = async (base64Data, pageNumber, modelName, prompt) => {
   const mimeMatch = base64Data.match(/^data:(image\/[a-z]+);base64,/);
   const mimeType = mimeMatch ? mimeMatch[1] : 'image/png';
   const base64Part = base64Data.includes(',') ? base64Data.split(',')[1] : base64Data;
 
-  const response = await getClient().messages.create({
-    model: modelName,
-    max_tokens: 4096,
-    messages: [{
-      role: 'user',
-      content: [
-        { type: 'image', source: { type: 'base64', media_type: mimeType, data: base64Part } },
-        { type: 'text', text: prompt }
-      ]
-    }]
-  });
-
-  const usage = response.usage || {};
-  return {
-    ...parseResponse(response.content[0]?.text || ''),
-    usage: {
-      inputTokens: usage.input_tokens || 0,
-      outputTokens: usage.output_tokens || 0
-    }
+  // Structured mode forces a tool call whose input is the item list
+  const structured = structuredOutput.isEnabled(modelName);
+  const pageMessage = {
+    role: 'user',
+    content: [
+      { type: 'image', source: { type: 'base64', media_type: mimeType, data: base64Part } },
+      { type: 'text', text: prompt }
+    ]
   };
+
+  return continuationService.extractWithContinuation({
+    label: `Page ${pageNumber}`,
+    request: async (followUp) => {
+      const messages = [pageMessage];
+      if (followUp) {
+        messages.push({ role: 'assistant', content: followUp.assistantText }, { role: 'user', content: followUp.instruction });
+      }
+
+      const response = await getClient().messages.create({
+        model: modelName,
+        max_tokens: continuationService.MAX_OUTPUT_TOKENS,
+        messages,
+        ...(structured ? { tools: [structuredOutput.claudeTool()], tool_choice: structuredOutput.claudeToolChoice() } : {})
+      });
+
+      const toolUse = (response.content || []).find(block => block.type === 'tool_use' && block.name === structuredOutput.TOOL_NAME);
+      const text = (response.content || []).filter(block => block.type === 'text').map(block => block.text).join('\n');
+      const usage = response.usage || {};
+      return {
+        raw: structured && toolUse ? toolUse.input : text,
+        truncated: response.stop_reason === 'max_tokens',
+        usage: {
+          inputTokens: usage.input_tokens || 0,
+          outputTokens: usage.output_tokens || 0
+        }
+      };
+    },
+    parse: (raw) => structured ? structuredOutput.parseItems(raw, parseResponse) : parseResponse(raw)
+  });
 };
 
 exports.analyzeImage = async (imageBase64, pageNumber, modelName = 'claude-sonnet-4-6', prompt) => {
   if (!prompt) throw new Error('Prompt is required from frontend');
   try {
-    return await analyzeSingleImage(imageBase64, modelName, prompt);
+    return await analyzeSingleImage(imageBase64, pageNumber, modelName, prompt);
   } catch (error) {
     console.error(`Claude error for page ${pageNumber}:`, error.message);
     return { parsed: [], error: error.message };
@@ -71,12 +95,12 @@ exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'claude-
 
   const results = new Array(images.length).fill(null);
   let completedCount = 0;
-  const MAX_CONCURRENT = 5;
+  const MAX_CONCURRENT = modelRegistry.getMaxConcurrent(modelName);
 
   const processImage = async (image, index) => {
     try {
-      const result = await analyzeSingleImage(image.base64, modelName, prompt);
-      results[index] = { parsed: result.parsed, raw: JSON.stringify(result.parsed), error: result.error, usage: result.usage };
+      const result = await analyzeSingleImage(image.base64, image.pageNumber, modelName, prompt);
+      results[index] = { ...result, raw: JSON.stringify(result.parsed) };
       completedCount++;
       if (onProgress) onProgress(completedCount, images.length, image.pageNumber);
     } catch (error) {
@@ -95,4 +119,4 @@ exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'claude-
   return results;
 };
 
-exports.isClaudeModel = (modelName) => CLAUDE_MODELS.includes(modelName);
+exports.isClaudeModel = (modelName) => modelRegistry.isProviderModel(modelName, 'claude');
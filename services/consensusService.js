@@ -0,0 +1,255 @@
+const modelRegistry = require('./modelRegistry');
+const { CATEGORY_SCHEMAS, normalizeCategory, findField } = require('../config/categorySchemas');
+const { isEmpty, parseNumber, parseDate } = require('../utils/valueParsers');
+
+// Consensus extraction: the same page is analyzed by several models, their items are aligned
+// by category and field similarity, and each schema field takes the value most models agree on
+// (ties go to the model listed first). Every merged item carries a CONSENSUS annotation with
+// per-field agreement so disputed values can be reviewed.
+//
+//   CONSENSUS_MATCH_THRESHOLD   share of comparable fields two items must agree on to be aligned (default 0.5)
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 3;
+const MATCH_THRESHOLD = parseFloat(process.env.CONSENSUS_MATCH_THRESHOLD) || 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Comparable form of a field value: cents for amounts, ISO day for dates, bare words for text
+const normalizeValue = (value, type) => {
+  if (isEmpty(value)) return null;
+  if (type === 'number' || type === 'currency') {
+    const number = parseNumber(value);
+    if (number !== null) return number.toFixed(2);
+  }
+  if (type === 'date') {
+    const date = parseDate(value);
+    if (date) return date.toISOString().substring(0, 10);
+  }
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() || null;
+};
+
+// Schema fields of an item as { FIELD: { key, raw, normalized } }
+const readFields = (category, data) => {
+  const fields = {};
+  Object.entries(CATEGORY_SCHEMAS[category].fields).forEach(([field, definition]) => {
+    const found = findField(data, field, definition);
+    if (!found) return;
+    const normalized = normalizeValue(found.value, definition.type);
+    if (normalized !== null) fields[field] = { key: found.key, raw: found.value, normalized };
+  });
+  return fields;
+};
+
+// Weighted share of the fields both items have that agree; required fields count double
+const similarity = (category, a, b) => {
+  const definitions = CATEGORY_SCHEMAS[category].fields;
+  let compared = 0;
+  let agreed = 0;
+  Object.keys(a).filter(field => b[field]).forEach(field => {
+    const weight = definitions[field].required ? 2 : 1;
+    compared += weight;
+    if (a[field].normalized === b[field].normalized) agreed += weight;
+  });
+  return compared > 0 ? agreed / compared : 0;
+};
+
+// Group the items of all models so each group holds at most one item per model
+const alignItems = (modelItems) => {
+  const groups = [];
+
+  modelItems.forEach(({ model, items }) => {
+    const candidates = [];
+    items.forEach((item, itemIndex) => {
+      groups.forEach((group, groupIndex) => {
+        if (group.category !== item.category) return;
+        const score = similarity(item.category, group.members[0].fields, item.fields);
+        if (score >= MATCH_THRESHOLD) candidates.push({ itemIndex, groupIndex, score });
+      });
+    });
+
+    // Best matches first, each item and group used once
+    const matchedItems = new Set();
+    const matchedGroups = new Set();
+    candidates.sort((a, b) => b.score - a.score).forEach(({ itemIndex, groupIndex }) => {
+      if (matchedItems.has(itemIndex) || matchedGroups.has(groupIndex)) return;
+      matchedItems.add(itemIndex);
+      matchedGroups.add(groupIndex);
+      groups[groupIndex].members.push({ model, ...items[itemIndex] });
+    });
+
+    items.forEach((item, itemIndex) => {
+      if (!matchedItems.has(itemIndex)) {
+        groups.push({ category: item.category, members: [{ model, ...item }] });
+      }
+    });
+  });
+
+  return groups;
+};
+
+// Majority value per field for one aligned group
+const mergeGroup = (group, models) => {
+  const foundBy = group.members.map(member => member.model);
+  const base = group.members[0];
+  const data = { ...base.data };
+  const fields = {};
+
+  const fieldNames = new Set(group.members.flatMap(member => Object.keys(member.fields)));
+  fieldNames.forEach(field => {
+    const votes = new Map(); // normalized -> { raw, models }
+    group.members.forEach(member => {
+      const value = member.fields[field];
+      if (!value) return;
+      const vote = votes.get(value.normalized) || { raw: value.raw, models: [] };
+      vote.models.push(member.model);
+      votes.set(value.normalized, vote);
+    });
+
+    // Most votes wins; Map order follows model order, so ties keep the earlier model's value
+    const winner = Array.from(votes.values()).reduce((best, vote) => vote.models.length > best.models.length ? vote : best);
+    const agreement = round(winner.models.length / foundBy.length);
+
+    const key = base.fields[field] ? base.fields[field].key : field;
+    data[key] = winner.raw;
+
+    fields[field] = { agreement };
+    if (agreement < 1) {
+      fields[field].values = {};
+      group.members.forEach(member => {
+        fields[field].values[member.model] = member.fields[field] ? member.fields[field].raw : null;
+      });
+    }
+  });
+
+  const agreements = Object.values(fields).map(field => field.agreement);
+  let status = 'agreed';
+  if (foundBy.length < models.length) status = 'partial';
+  else if (agreements.some(agreement => agreement < 1)) status = 'disputed';
+
+  data.CONSENSUS = {
+    status,
+    models,
+    foundBy,
+    agreement: agreements.length > 0 ? round(agreements.reduce((sum, a) => sum + a, 0) / agreements.length) : 0,
+    disputedFields: Object.keys(fields).filter(field => fields[field].agreement < 1),
+    fields
+  };
+
+  return { category: group.category, data };
+};
+
+// Merge the per-model results for one page into a single provider-shaped result
+exports.mergeResults = (models, results) => {
+  const succeeded = models.filter((model, index) => results[index] && !results[index].error);
+  const modelErrors = {};
+  models.forEach((model, index) => {
+    if (results[index]?.error) modelErrors[model] = results[index].error;
+  });
+
+  const passthrough = [];
+  const modelItems = succeeded.map(model => {
+    const result = results[models.indexOf(model)];
+    const items = [];
+    (result.parsed || []).forEach(item => {
+      const category = normalizeCategory(item?.category);
+      if (!category || !item.data || typeof item.data !== 'object' || Array.isArray(item.data)) {
+        // Left for analyzePageData to report as dropped, once
+        if (model === succeeded[0]) passthrough.push(item);
+        return;
+      }
+      items.push({ category, data: item.data, fields: readFields(category, item.data) });
+    });
+    return { model, items };
+  });
+
+  const merged = alignItems(modelItems).map(group => mergeGroup(group, models));
+  // Items missing from a truncated model's output show up as partial, not disputed
+  const truncatedModels = succeeded.filter(model => results[models.indexOf(model)].truncated);
+  const summary = {
+    models,
+    succeeded,
+    modelErrors,
+    truncatedModels,
+    itemCount: merged.length,
+    agreedItems: merged.filter(item => item.data.CONSENSUS.status === 'agreed').length,
+    disputedItems: merged.filter(item => item.data.CONSENSUS.status === 'disputed').length,
+    partialItems: merged.filter(item => item.data.CONSENSUS.status === 'partial').length,
+    agreement: merged.length > 0 ? round(merged.reduce((sum, item) => sum + item.data.CONSENSUS.agreement, 0) / merged.length) : 0
+  };
+
+  const apiCost = modelRegistry.combineApiCosts(models.map((model, index) => {
+    const usage = results[index]?.usage || {};
+    return modelRegistry.calculateApiCost(model, usage.inputTokens || 0, usage.outputTokens || 0, usage.pages || 0);
+  }));
+
+  return {
+    parsed: [...merged, ...passthrough],
+    raw: models.map((model, index) => `--- ${model} ---\n${results[index]?.raw || results[index]?.error || ''}`).join('\n\n'),
+    error: succeeded.length === 0 ? Object.entries(modelErrors).map(([model, error]) => `${model}: ${error}`).join('; ') : null,
+    usage: {
+      inputTokens: apiCost.inputTokens,
+      outputTokens: apiCost.outputTokens,
+      pages: apiCost.pages
+    },
+    apiCost,
+    truncated: truncatedModels.length > 0 || undefined,
+    consensus: summary
+  };
+};
+
+// Validate a requested model list; returns an error message or null
+exports.validateModels = (models) => {
+  if (!Array.isArray(models) || models.length < MIN_MODELS || models.length > MAX_MODELS) {
+    return `Consensus needs ${MIN_MODELS} to ${MAX_MODELS} models`;
+  }
+  if (new Set(models).size !== models.length) {
+    return 'Consensus models must be different';
+  }
+  const invalid = models.filter(model => !modelRegistry.isEnabled(model));
+  if (invalid.length > 0) {
+    return `Unknown or disabled models: ${invalid.join(', ')}. Available: ${modelRegistry.getEnabledModelIds().join(', ')}`;
+  }
+  return null;
+};
+
+const failedResult = (error) => ({ parsed: [], raw: `Analysis Error: ${error.message}`, error: error.message, usage: { inputTokens: 0, outputTokens: 0 } });
+
+exports.analyzeImage = async (imageBase64, pageNumber, models, prompt) => {
+  const results = await Promise.all(models.map(model => {
+    return modelRegistry.getAIService(model).analyzeImage(imageBase64, pageNumber, model, prompt).catch(failedResult);
+  }));
+  return exports.mergeResults(models, results);
+};
+
+// Every model works through the batch with its own concurrency; a page counts as analyzed
+// once all models have returned it
+exports.analyzeImagesUltraFast = async (images, onProgress, models, prompt) => {
+  console.log(`\nCONSENSUS ANALYSIS - ${images.length} images x ${models.length} models (${models.join(', ')})`);
+
+  const pageCounts = new Map();
+  let completedCount = 0;
+  const onModelProgress = (completed, total, pageNumber) => {
+    const count = (pageCounts.get(pageNumber) || 0) + 1;
+    pageCounts.set(pageNumber, count);
+    if (count === models.length) {
+      completedCount++;
+      if (onProgress) onProgress(completedCount, images.length, pageNumber);
+    }
+  };
+
+  const perModel = await Promise.all(models.map(async model => {
+    try {
+      return await modelRegistry.getAIService(model).analyzeImagesUltraFast(images, onModelProgress, model, prompt);
+    } catch (error) {
+      console.error(`Consensus model ${model} failed:`, error.message);
+      images.forEach(image => onModelProgress(0, images.length, image.pageNumber));
+      return images.map(() => failedResult(error));
+    }
+  }));
+
+  return images.map((image, index) => exports.mergeResults(models, perModel.map(results => results[index])));
+};
+
+exports.MIN_MODELS = MIN_MODELS;
+exports.MAX_MODELS = MAX_MODELS;
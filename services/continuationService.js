@@ -0,0 +1,122 @@
+// Long extractions that hit the output token limit (stop_reason "max_tokens", finish_reason
+// "length", finishReason "MAX_TOKENS"). The complete items of the cut-off response are
+// recovered, then the model is asked in a follow-up turn for the rows after the last one it
+// returned. A page that still is not finished after the allowed continuations is marked
+// `truncated` so partial data is never mistaken for a complete page.
+//
+//   MAX_OUTPUT_TOKENS              output limit per request for Claude and OpenAI (default 4096)
+//   TRUNCATION_MAX_CONTINUATIONS   follow-up requests per page (default 3, 0 only marks pages)
+
+const MAX_OUTPUT_TOKENS = parseInt(process.env.MAX_OUTPUT_TOKENS, 10) || 4096;
+const MAX_CONTINUATIONS = process.env.TRUNCATION_MAX_CONTINUATIONS !== undefined
+  ? parseInt(process.env.TRUNCATION_MAX_CONTINUATIONS, 10) || 0
+  : 3;
+
+// Complete elements of the first JSON array in a possibly cut-off response, e.g.
+// `[{"a":1},{"b":2},{"c":` -> [{a:1},{b:2}]. Also accepts an already parsed value.
+exports.repairItems = (raw) => {
+  if (Array.isArray(raw)) return raw;
+  if (raw && typeof raw === 'object') return Array.isArray(raw.items) ? raw.items : [];
+  if (typeof raw !== 'string') return [];
+
+  const start = raw.indexOf('[');
+  if (start === -1) return [];
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let lastElementEnd = -1;
+
+  for (let i = start; i < raw.length; i++) {
+    const char = raw[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 1 && char === '}') lastElementEnd = i;
+      if (depth === 0) {
+        lastElementEnd = i - 1;
+        break;
+      }
+    }
+  }
+
+  if (lastElementEnd === -1) return [];
+  try {
+    const items = JSON.parse(`${raw.slice(start, lastElementEnd + 1).replace(/,\s*$/, '')}]`);
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Follow-up turn asking for the rows after the last returned item
+exports.buildFollowUp = (items) => ({
+  items,
+  assistantText: JSON.stringify(items),
+  instruction: [
+    `Your previous response was cut off by the output limit after ${items.length} items. The last complete item was:`,
+    JSON.stringify(items[items.length - 1]),
+    'Continue with ONLY the remaining items that come after it on the page, in the same JSON format.',
+    'Do not repeat items you already returned.'
+  ].join('\n')
+});
+
+const sameItem = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Call `request(followUp)` until the response is not truncated or the continuations run out.
+// request resolves to { raw, truncated, usage } where raw is the response text (or structured
+// value); parse(raw) turns a complete response into { parsed, error }.
+exports.extractWithContinuation = async ({ request, parse, label = 'page' }) => {
+  const items = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let followUp = null;
+  let continuations = 0;
+
+  for (;;) {
+    const response = await request(followUp);
+    usage.inputTokens += response.usage?.inputTokens || 0;
+    usage.outputTokens += response.usage?.outputTokens || 0;
+
+    // A cut-off response is reduced to its complete items before the normal parsing
+    const result = parse(response.truncated ? JSON.stringify(exports.repairItems(response.raw)) : response.raw);
+    if (result.error) {
+      if (items.length === 0) return { ...result, usage };
+      // An unreadable continuation leaves the page incomplete, not failed
+      console.warn(`   ${label} continuation ${continuations} could not be parsed: ${result.error}`);
+      return { parsed: items, error: null, usage, truncated: true, continuations };
+    }
+
+    // Drop rows the model repeated from the end of the previous part
+    const newItems = [...(result.parsed || [])];
+    while (newItems.length > 0 && items.length > 0 && sameItem(newItems[0], items[items.length - 1])) {
+      newItems.shift();
+    }
+    items.push(...newItems);
+
+    if (!response.truncated) {
+      return { parsed: items, error: null, usage, continuations: continuations || undefined };
+    }
+
+    if (newItems.length === 0 || continuations >= MAX_CONTINUATIONS) {
+      console.warn(`   ${label} truncated by the output limit - ${items.length} items recovered after ${continuations} continuation(s)`);
+      return { parsed: items, error: null, usage, truncated: true, continuations: continuations || undefined };
+    }
+
+    continuations++;
+    console.log(`   ${label} hit the output limit after ${items.length} items - requesting continuation ${continuations}/${MAX_CONTINUATIONS}`);
+    followUp = exports.buildFollowUp(items);
+  }
+};
+
+exports.MAX_OUTPUT_TOKENS = MAX_OUTPUT_TOKENS;
+exports.MAX_CONTINUATIONS = MAX_CONTINUATIONS;
@@ -0,0 +1,258 @@
+const ExcelJS = require('exceljs');
+const { parseNumber, parseDate } = require('../utils/valueParsers');
+
+const CATEGORY_SHEETS = [
+  { key: 'labour', name: 'Labour' },
+  { key: 'material', name: 'Material' },
+  { key: 'equipment', name: 'Equipment' },
+  { key: 'consumables', name: 'Consumables' },
+  { key: 'subtrade', name: 'Subtrade' },
+  { key: 'labourTimesheet', name: 'Labour Timesheet' },
+  { key: 'equipmentLog', name: 'Equipment Log' }
+];
+
+// Stamped onto every item by the controller - exported as dedicated columns or skipped
+const METADATA_FIELDS = ['PAGE_NUMBER', 'SESSION_ID', 'USER_ID', 'MODEL_USED', 'PROMPT_USED', 'PROMPT_ID', 'PROMPT_VERSION', 'VALIDATION', 'CALCULATION', 'OCR', 'TEXTRACT', 'CONSENSUS', 'ITEM_ID', 'REVIEW_STATUS', 'REVIEWED_BY', 'REVIEWED_AT'];
+
+const CURRENCY_FORMAT = '"$"#,##0.00';
+const COST_FORMAT = '"$"#,##0.000000';
+const NUMBER_FORMAT = '#,##0.00';
+const DATE_FORMAT = 'yyyy-mm-dd';
+
+// Column typing is inferred from the CAPITAL field names the model returns
+const getColumnType = (field) => {
+  if (/DATE|_ON$|^DAY$/.test(field)) return 'date';
+  if (/HOURS|HRS|QTY|QUANTITY|UNITS|DAYS|KM|MILEAGE/.test(field)) return 'number';
+  if (/RATE|AMOUNT|TOTAL|PRICE|COST|TAX|GST|HST|PST|QST|CHARGE|FEE/.test(field)) return 'currency';
+  return 'text';
+};
+
+// Convert a raw value to a typed cell value, keeping the original text if it does not parse
+const toCellValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+
+  if (type === 'date') {
+    const date = parseDate(value);
+    return date || value;
+  }
+
+  if (type === 'currency' || type === 'number') {
+    const number = parseNumber(value);
+    return number === null ? value : number;
+  }
+
+  return value;
+};
+
+// "invalid: Missing required field RATE; ..." for the Validation column
+const formatValidation = (validation) => {
+  if (!validation) return null;
+  const messages = [...(validation.errors || []), ...(validation.warnings || [])];
+  return messages.length > 0 ? `${validation.status}: ${messages.join('; ')}` : validation.status;
+};
+
+const styleHeader = (sheet) => {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+};
+
+const addCategorySheet = (workbook, { name }, items) => {
+  const sheet = workbook.addWorksheet(name);
+
+  // Union of all fields across items, in first-seen order
+  const fields = [];
+  items.forEach(item => {
+    Object.keys(item || {}).forEach(field => {
+      if (!METADATA_FIELDS.includes(field) && !fields.includes(field)) {
+        fields.push(field);
+      }
+    });
+  });
+
+  const columnTypes = {};
+  fields.forEach(field => {
+    columnTypes[field] = getColumnType(field);
+  });
+
+  // Persisted runs carry the human review status of each item
+  const reviewed = items.some(item => item && item.REVIEW_STATUS);
+
+  sheet.columns = [
+    { header: 'Page', key: 'PAGE_NUMBER', width: 8 },
+    { header: 'Model', key: 'MODEL_USED', width: 24 },
+    { header: 'Validation', key: 'VALIDATION', width: 40 },
+    ...(reviewed ? [{ header: 'Review', key: 'REVIEW_STATUS', width: 12 }] : []),
+    ...fields.map(field => ({
+      header: field,
+      key: field,
+      width: Math.max(field.length + 2, 14)
+    })),
+    { header: 'Calculated Amount', key: 'CALCULATED_AMOUNT', width: 18 },
+    { header: 'Amount Difference', key: 'AMOUNT_DIFFERENCE', width: 18 }
+  ];
+
+  items.forEach(item => {
+    const row = {
+      PAGE_NUMBER: parseNumber(item.PAGE_NUMBER) ?? item.PAGE_NUMBER,
+      MODEL_USED: item.MODEL_USED,
+      VALIDATION: formatValidation(item.VALIDATION),
+      REVIEW_STATUS: item.REVIEW_STATUS,
+      CALCULATED_AMOUNT: item.CALCULATION ? item.CALCULATION.calculatedAmount : null,
+      AMOUNT_DIFFERENCE: item.CALCULATION ? item.CALCULATION.difference : null
+    };
+    fields.forEach(field => {
+      row[field] = toCellValue(item[field], columnTypes[field]);
+    });
+    const added = sheet.addRow(row);
+    if (item.CALCULATION && item.CALCULATION.mismatch) {
+      added.getCell('AMOUNT_DIFFERENCE').font = { bold: true, color: { argb: 'FFC00000' } };
+    }
+  });
+
+  sheet.getColumn('CALCULATED_AMOUNT').numFmt = CURRENCY_FORMAT;
+  sheet.getColumn('AMOUNT_DIFFERENCE').numFmt = CURRENCY_FORMAT;
+
+  fields.forEach(field => {
+    const column = sheet.getColumn(field);
+    if (columnTypes[field] === 'date') column.numFmt = DATE_FORMAT;
+    if (columnTypes[field] === 'currency') column.numFmt = CURRENCY_FORMAT;
+    if (columnTypes[field] === 'number') column.numFmt = NUMBER_FORMAT;
+  });
+
+  styleHeader(sheet);
+  return sheet;
+};
+
+const addSummarySheet = (workbook, { collectedResult, pages, apiCost, totals, model, processedBy, processedAt, runId, review }) => {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [
+    { key: 'label', width: 28 },
+    { key: 'value', width: 24 },
+    { key: 'c', width: 16 },
+    { key: 'd', width: 16 },
+    { key: 'e', width: 40 },
+    { key: 'f', width: 10 }
+  ];
+
+  const addSection = (title) => {
+    const row = sheet.addRow([title]);
+    row.font = { bold: true, size: 12 };
+  };
+
+  addSection('Extraction Summary');
+  if (runId) sheet.addRow(['Run ID', String(runId)]);
+  sheet.addRow(['Model', model || 'Unknown']);
+  if (processedBy) sheet.addRow(['Processed By', processedBy]);
+  if (processedAt) {
+    const row = sheet.addRow(['Processed At', new Date(processedAt)]);
+    row.getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+  }
+  if (review) {
+    sheet.addRow(['Review Status', review.status]);
+    if (review.approvedBy) sheet.addRow(['Approved By', review.approvedBy]);
+    if (review.approvedAt) {
+      const row = sheet.addRow(['Approved At', new Date(review.approvedAt)]);
+      row.getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+    }
+  }
+  sheet.addRow([]);
+
+  addSection('Item Counts');
+  let totalItems = 0;
+  CATEGORY_SHEETS.forEach(({ key, name }) => {
+    const count = (collectedResult[key] || []).length;
+    totalItems += count;
+    sheet.addRow([name, count]);
+  });
+  sheet.addRow(['Total Items', totalItems]).font = { bold: true };
+  sheet.addRow([]);
+
+  if (totals) {
+    addSection(`Totals (${totals.currency || 'CAD'})`);
+    CATEGORY_SHEETS.forEach(({ key, name }) => {
+      if (totals.categories && totals.categories[key]) {
+        sheet.addRow([name, totals.categories[key].subtotal]).getCell(2).numFmt = CURRENCY_FORMAT;
+      }
+    });
+    sheet.addRow(['Subtotal', totals.subtotal]).getCell(2).numFmt = CURRENCY_FORMAT;
+    (totals.taxes || []).forEach(tax => {
+      sheet.addRow([`${tax.type} (${tax.rate}%, ${totals.province})`, tax.amount]).getCell(2).numFmt = CURRENCY_FORMAT;
+    });
+    const totalRow = sheet.addRow(['Total', totals.total]);
+    totalRow.getCell(2).numFmt = CURRENCY_FORMAT;
+    totalRow.font = { bold: true };
+    sheet.addRow(['Amount Mismatches', totals.mismatchCount || 0]);
+    sheet.addRow([]);
+  }
+
+  if (apiCost) {
+    addSection('API Cost');
+    sheet.addRow(['Input Tokens', apiCost.inputTokens || 0]);
+    sheet.addRow(['Output Tokens', apiCost.outputTokens || 0]);
+    const costRows = [['Input Cost', apiCost.inputCost], ['Output Cost', apiCost.outputCost]];
+    if (apiCost.pageCost !== undefined) {
+      sheet.addRow(['Billed Pages', apiCost.pages || 0]);
+      costRows.push(['Page Cost', apiCost.pageCost]);
+    }
+    // Consensus runs list what each model cost
+    (apiCost.breakdown || []).forEach(cost => costRows.push([`${cost.model} Cost`, cost.totalCost]));
+    [...costRows, ['Total Cost', apiCost.totalCost]]
+      .forEach(([label, value]) => {
+        const row = sheet.addRow([label, value || 0]);
+        row.getCell(2).numFmt = COST_FORMAT;
+        if (label === 'Total Cost') row.font = { bold: true };
+      });
+    sheet.addRow(['Currency', apiCost.currency || 'USD']);
+    sheet.addRow([]);
+  }
+
+  if (pages && pages.length > 0) {
+    addSection('Pages');
+    sheet.addRow(['Page', 'Model', 'Items', 'Cost', 'Error', 'Dropped']).font = { bold: true };
+    pages.forEach(page => {
+      const row = sheet.addRow([
+        page.pageNumber,
+        page.model || model,
+        page.itemCount ?? 0,
+        page.apiCost ? page.apiCost.totalCost : null,
+        page.error || '',
+        page.droppedCount ?? 0
+      ]);
+      row.getCell(4).numFmt = COST_FORMAT;
+    });
+  }
+
+  return sheet;
+};
+
+// Build the workbook: Summary sheet first, then one sheet per category
+exports.buildWorkbook = (exportData) => {
+  const collectedResult = exportData.collectedResult || {};
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'GNC Image Processing API';
+  workbook.created = new Date();
+
+  addSummarySheet(workbook, { ...exportData, collectedResult });
+
+  CATEGORY_SHEETS.forEach(category => {
+    addCategorySheet(workbook, category, collectedResult[category.key] || []);
+  });
+
+  return workbook;
+};
+
+// Stream the workbook as an .xlsx download
+exports.sendWorkbook = async (res, workbook, filename) => {
+  const safeName = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}"`);
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+exports.CATEGORY_SHEETS = CATEGORY_SHEETS;
+exports.METADATA_FIELDS = METADATA_FIELDS;
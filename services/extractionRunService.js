@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const ExtractionRun = require('../models/ExtractionRun');
+const ExtractedItem = require('../models/ExtractedItem');
+const spendService = require('./spendService');
+const auditService = require('./auditService');
+
+const CATEGORIES = ['labour', 'material', 'equipment', 'consumables', 'subtrade', 'labourTimesheet', 'equipmentLog'];
+
+// Persistence must never break the SSE stream - failures are logged and swallowed
+
+// Create the run document when processing starts
+exports.startRun = async ({ sessionId, userId, userEmail, organization, mode, model, consensusModels, prompt, promptRef, totalPages, sourceFile }) => {
+  try {
+    return await ExtractionRun.create({
+      sessionId,
+      user: userId,
+      userEmail,
+      organization,
+      mode,
+      model,
+      consensusModels,
+      prompt,
+      promptRef,
+      totalPages,
+      sourceFile
+    });
+  } catch (error) {
+    console.error(`Failed to persist run for session ${sessionId}:`, error.message);
+    return null;
+  }
+};
+
+// Store one processed page and its items. `owner` ({ userId, userEmail, organization, sessionId })
+// charges the page's spend when the run could not be created.
+exports.recordPage = async (run, { pageNumber, data, rawOutput, error, droppedItems, validationSummary, totals, model, apiCost, ocr, consensus, failover, truncated, continuations, cached, owner }) => {
+  if (!run) {
+    // The provider was called all the same, so the page still goes on the ledger
+    const charged = owner && { user: owner.userId, userEmail: owner.userEmail, organization: owner.organization, sessionId: owner.sessionId };
+    await spendService.recordPageSpend(charged, { pageNumber, apiCost });
+    return;
+  }
+
+  try {
+    const items = [];
+    CATEGORIES.forEach(category => {
+      (data[category] || []).forEach((item, position) => {
+        items.push({
+          run: run._id,
+          user: run.user,
+          sessionId: run.sessionId,
+          pageNumber,
+          category,
+          data: item,
+          model,
+          position
+        });
+      });
+    });
+
+    if (items.length > 0) {
+      await ExtractedItem.insertMany(items);
+    }
+
+    await ExtractionRun.updateOne(
+      { _id: run._id },
+      {
+        $push: {
+          pages: {
+            pageNumber,
+            model,
+            rawOutput,
+            error,
+            itemCount: items.length,
+            droppedCount: droppedItems ? droppedItems.length : 0,
+            droppedItems,
+            validationSummary,
+            totals,
+            apiCost,
+            ocr: ocr ? { ...ocr, lines: undefined } : undefined,
+            consensus,
+            failover,
+            truncated,
+            continuations,
+            cached
+          }
+        },
+        $inc: { totalItems: items.length }
+      }
+    );
+  } catch (err) {
+    console.error(`Failed to persist page ${pageNumber} for session ${run.sessionId}:`, err.message);
+  }
+
+  // The page is paid for whether or not it could be stored
+  await spendService.recordPageSpend(run, { pageNumber, apiCost });
+};
+
+// Mark the run as completed, cancelled or failed
+exports.finishRun = async (run, { status, apiCost, totals, error }) => {
+  if (!run) return;
+
+  let finished = run;
+  try {
+    finished = await ExtractionRun.findOneAndUpdate(
+      { _id: run._id },
+      {
+        status,
+        apiCost,
+        totals,
+        error,
+        completedAt: new Date()
+      },
+      { new: true, projection: { 'pages.rawOutput': 0, 'pages.droppedItems': 0, 'pages.ocr': 0 } }
+    ) || run;
+  } catch (err) {
+    console.error(`Failed to finalize run for session ${run.sessionId}:`, err.message);
+  }
+
+  await auditService.recordRun(finished, { status, apiCost, error });
+};
+
+// Look up a run owned by the given user
+exports.findUserRun = async (runId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(runId)) return null;
+  return ExtractionRun.findOne({ _id: runId, user: userId });
+};
+
+// Rebuild the collectedResult shape sent over SSE from stored items
+exports.buildCollectedResult = (items) => {
+  const collectedResult = {};
+  CATEGORIES.forEach(category => {
+    collectedResult[category] = [];
+  });
+
+  // Review state travels with the item like the metadata stamped during processing
+  items.forEach(item => {
+    if (collectedResult[item.category]) {
+      collectedResult[item.category].push({
+        ...item.data,
+        ITEM_ID: item._id,
+        REVIEW_STATUS: item.reviewStatus,
+        REVIEWED_BY: item.reviewedByEmail,
+        REVIEWED_AT: item.reviewedAt
+      });
+    }
+  });
+
+  return collectedResult;
+};
+
+exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,102 @@
+const modelRegistry = require('./modelRegistry');
+
+// Cross-provider failover. A page that still fails after the provider's own retries is
+// analyzed again with the next model of the requested model's fallback chain
+// (config/models.js `fallbacks`, or MODEL_FALLBACKS). Results name the model that produced
+// them in `modelUsed`, list the failed attempts in `failover`, and carry an `apiCost`
+// priced per model actually called.
+
+// Errors where the provider answered but the output was unusable are not an outage
+const isFailoverError = (error) => !!error && !/^Parse error/i.test(error);
+
+const failedResult = (error) => ({
+  parsed: [],
+  raw: `Analysis Error: ${error.message}`,
+  error: error.message,
+  usage: { inputTokens: 0, outputTokens: 0 }
+});
+
+const attemptCost = (model, result) => {
+  const usage = result?.usage || {};
+  return modelRegistry.calculateApiCost(model, usage.inputTokens || 0, usage.outputTokens || 0, usage.pages || 0);
+};
+
+// Final result for a page after its attempts ([{ model, result }], last one is kept)
+const finalizeResult = (requestedModel, attempts) => {
+  const { model, result } = attempts[attempts.length - 1];
+  const costs = attempts
+    .map(attempt => attemptCost(attempt.model, attempt.result))
+    .filter((cost, index) => index === attempts.length - 1 || cost.totalCost > 0);
+
+  const final = {
+    ...result,
+    modelUsed: model,
+    apiCost: modelRegistry.combineApiCosts(costs)
+  };
+  if (attempts.length > 1) {
+    final.failover = {
+      requestedModel,
+      attempts: attempts.slice(0, -1).map(attempt => ({ model: attempt.model, error: attempt.result.error }))
+    };
+  }
+  return final;
+};
+
+exports.analyzeImage = async (imageBase64, pageNumber, model, prompt) => {
+  const chain = modelRegistry.getFallbackChain(model);
+  const attempts = [];
+
+  for (const candidate of chain) {
+    let result;
+    try {
+      result = await modelRegistry.getAIService(candidate).analyzeImage(imageBase64, pageNumber, candidate, prompt);
+    } catch (error) {
+      result = failedResult(error);
+    }
+    attempts.push({ model: candidate, result });
+
+    if (!isFailoverError(result.error)) break;
+    const next = chain[chain.indexOf(candidate) + 1];
+    if (next) console.log(`Page ${pageNumber} failed on ${candidate} (${result.error}) - failing over to ${next}`);
+  }
+
+  return finalizeResult(model, attempts);
+};
+
+// The whole batch goes to the requested model; pages that failed are then sent, as a batch,
+// to each fallback in turn. onFailover({ fromModel, toModel, pageNumbers }) reports each switch.
+exports.analyzeImagesUltraFast = async (images, onProgress, model, prompt, { onFailover } = {}) => {
+  const chain = modelRegistry.getFallbackChain(model);
+  const attempts = images.map(() => []);
+  let pending = images.map((image, index) => index);
+
+  for (let step = 0; step < chain.length && pending.length > 0; step++) {
+    const candidate = chain[step];
+    const batch = pending.map(index => images[index]);
+
+    if (step > 0) {
+      const fromModel = chain[step - 1];
+      console.log(`\nFAILOVER - ${batch.length} page(s) from ${fromModel} to ${candidate}`);
+      if (onFailover) onFailover({ fromModel, toModel: candidate, pageNumbers: batch.map(image => image.pageNumber) });
+    }
+
+    let results;
+    try {
+      // Progress is reported by the first pass only; retried pages were already counted
+      results = await modelRegistry.getAIService(candidate).analyzeImagesUltraFast(batch, step === 0 ? onProgress : null, candidate, prompt);
+    } catch (error) {
+      console.error(`Batch analysis with ${candidate} failed:`, error.message);
+      results = batch.map(() => failedResult(error));
+      if (step === 0 && onProgress) batch.forEach((image, index) => onProgress(index + 1, images.length, image.pageNumber));
+    }
+
+    pending.forEach((imageIndex, batchIndex) => {
+      attempts[imageIndex].push({ model: candidate, result: results[batchIndex] || failedResult(new Error('No result returned')) });
+    });
+    pending = pending.filter(imageIndex => isFailoverError(attempts[imageIndex][attempts[imageIndex].length - 1].result.error));
+  }
+
+  return attempts.map(pageAttempts => finalizeResult(model, pageAttempts));
+};
+
+exports.isFailoverError = isFailoverError;
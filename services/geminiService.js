@@ -1,4 +1,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const modelRegistry = require('./modelRegistry');
+const structuredOutput = require('./structuredOutput');
+const continuationService = require('./continuationService');
 
 // Load API keys from environment variables
 const API_KEYS = [
@@ -14,11 +17,15 @@ const API_KEYS = [
   process.env.GEMINI_API_KEY_10
 ].filter(key => key && key.trim() !== '');
 
-if (API_KEYS.length === 0) {
+if (API_KEYS.length === 0 && process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY.trim() !== '') {
   console.warn('No GEMINI_API_KEY_* found, falling back to GEMINI_API_KEY');
   API_KEYS.push(process.env.GEMINI_API_KEY);
 }
 
+if (API_KEYS.length === 0) {
+  console.warn('No Gemini API key configured - Gemini models will fail until GEMINI_API_KEY is set');
+}
+
 console.log(`Loaded ${API_KEYS.length} API key(s) for ultra-fast parallel processing`);
 
 const geminiClients = API_KEYS.map(key => new GoogleGenerativeAI(key));
@@ -135,7 +142,14 @@ const analyzeSingleImage = async (base64Data, pageNumber, keyIndex, modelName =
   await ultraFastLimiter.waitIfNeeded(keyIndex);
   
   const genAI = geminiClients[keyIndex];
-  const model = genAI.getGenerativeModel({ model: modelName });
+  if (!genAI) {
+    throw new Error('GEMINI_API_KEY is not configured');
+  }
+  const structured = structuredOutput.isEnabled(modelName);
+  const model = genAI.getGenerativeModel({
+    model: modelName,
+    ...(structured ? { generationConfig: structuredOutput.geminiGenerationConfig() } : {})
+  });
 
   if (!base64Data.startsWith('data:image')) {
     base64Data = `data:image/png;base64,${base64Data.replace(/^data:image\/[a-z]+;base64,/, '')}`;
@@ -150,18 +164,36 @@ const analyzeSingleImage = async (base64Data, pageNumber, keyIndex, modelName =
     },
   };
 
-  const result = await model.generateContent([prompt, imagePart]);
-  const response = await result.response;
-  const text = response.text();
-  const usageMetadata = response.usageMetadata || {};
-  const parsedResult = parseGeminiResponse(text);
-  return {
-    ...parsedResult,
-    usage: {
-      inputTokens: usageMetadata.promptTokenCount || 0,
-      outputTokens: usageMetadata.candidatesTokenCount || 0
-    }
-  };
+  return continuationService.extractWithContinuation({
+    label: `Page ${pageNumber}`,
+    request: async (followUp) => {
+      let result;
+      if (followUp) {
+        await ultraFastLimiter.waitIfNeeded(keyIndex);
+        result = await model.generateContent({
+          contents: [
+            { role: 'user', parts: [{ text: prompt }, imagePart] },
+            { role: 'model', parts: [{ text: followUp.assistantText }] },
+            { role: 'user', parts: [{ text: followUp.instruction }] }
+          ]
+        });
+      } else {
+        result = await model.generateContent([prompt, imagePart]);
+      }
+
+      const response = await result.response;
+      const usageMetadata = response.usageMetadata || {};
+      return {
+        raw: response.text(),
+        truncated: response.candidates?.[0]?.finishReason === 'MAX_TOKENS',
+        usage: {
+          inputTokens: usageMetadata.promptTokenCount || 0,
+          outputTokens: usageMetadata.candidatesTokenCount || 0
+        }
+      };
+    },
+    parse: (text) => structured ? structuredOutput.parseItems(text, parseGeminiResponse) : parseGeminiResponse(text)
+  });
 };
 
 // Retry mechanism
@@ -222,15 +254,14 @@ exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'gemini-
   console.log(`API Keys: ${API_KEYS.length}`);
   console.log(`Model: ${modelName}`);
   console.log(`Prompt from frontend: Yes`);
-  console.log(`Max parallel: ${API_KEYS.length * 8} (8x per key)`);
+  const MAX_CONCURRENT = modelRegistry.getMaxConcurrent(modelName, API_KEYS.length);
+  console.log(`Max parallel: ${MAX_CONCURRENT} (${MAX_CONCURRENT / Math.max(API_KEYS.length, 1)}x per key)`);
   console.log(`${'='.repeat(70)}\n`);
   
   const results = new Array(images.length).fill(null);
   let completedCount = 0;
   const startTime = Date.now();
   
-  const MAX_CONCURRENT = API_KEYS.length * 8;
-  
   const processImage = async (image, index) => {
     const imageStartTime = Date.now();
     
@@ -252,7 +283,9 @@ exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'gemini-
         parsed: result.parsed,
         raw: JSON.stringify(result.parsed),
         error: result.error,
-        usage: result.usage
+        usage: result.usage,
+        truncated: result.truncated,
+        continuations: result.continuations
       };
 
       completedCount++;
@@ -335,11 +368,7 @@ exports.analyzeImagesParallel = exports.analyzeImagesUltraFast;
 
 // Get available models
 exports.getAvailableModels = () => {
-  return [
-    'gemini-3.1-flash-lite',
-    'gemini-3.5-flash',
-    'gemini-3.1-pro-preview'
-  ];
+  return modelRegistry.getEnabledModelIds().filter(id => modelRegistry.isProviderModel(id, 'gemini'));
 };
 
 // Validate model
@@ -0,0 +1,93 @@
+const sseStream = require('./sseStream');
+
+// Background batch jobs. Job events go through a numbered sseStream kept for the whole
+// retention period, so a client can (re)subscribe at any time and replay what it missed,
+// and the final result stays available for JOB_RETENTION_MS after the job ends
+// (the run itself is persisted in MongoDB).
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000;
+const TERMINAL_EVENTS = ['complete', 'cancelled', 'error'];
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map(); // jobId -> job
+  }
+
+  createJob({ jobId, userId, userEmail, model, totalImages, sourceFile }) {
+    const job = {
+      jobId,
+      userId,
+      userEmail,
+      model,
+      totalImages,
+      sourceFile,
+      status: 'processing',
+      runId: null,
+      progress: { completed: 0, total: totalImages },
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      finishedAt: null
+    };
+
+    sseStream.createStream(jobId, userId, { replayWindowMs: JOB_RETENTION_MS });
+    this.jobs.set(jobId, job);
+    return job;
+  }
+
+  // Record a pipeline event and publish it to the job's stream
+  addEvent(jobId, event) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.finishedAt) return;
+
+    if (event.runId) job.runId = event.runId;
+    if (event.type === 'analysis_progress') {
+      job.progress = { completed: event.completed, total: event.total };
+    } else if (event.type === 'complete') {
+      job.status = 'completed';
+      job.result = event;
+    } else if (event.type === 'cancelled') {
+      job.status = 'cancelled';
+    } else if (event.type === 'error') {
+      job.status = 'failed';
+      job.error = event.error;
+    }
+
+    sseStream.publish(jobId, event);
+
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      job.finishedAt = new Date();
+      sseStream.end(jobId);
+      setTimeout(() => this.jobs.delete(jobId), JOB_RETENTION_MS).unref();
+    }
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  getUserJobs(userId) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Public view of a job
+  summarize(job) {
+    return {
+      jobId: job.jobId,
+      sessionId: job.jobId,
+      runId: job.runId,
+      status: job.status,
+      model: job.model,
+      totalImages: job.totalImages,
+      sourceFile: job.sourceFile,
+      progress: job.progress,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.finishedAt ? new Date(job.finishedAt.getTime() + JOB_RETENTION_MS) : null
+    };
+  }
+}
+
+module.exports = new JobManager();
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const modelRegistry = require('./modelRegistry');
+const continuationService = require('./continuationService');
+
+// Offline provider behind the `mock-fixture` model. Same contract as the real services,
+// so the SSE flow, retries, cancellation and cost reporting can be exercised without API keys.
+//
+// Items come from a fixture file keyed by image hash (sha256 of the base64 data) or page number,
+// falling back to `default`. An entry is either an item array or an object with `items` plus
+// simulation options: latencyMs, rateLimit (number of 429s before succeeding), parseError, fail,
+// truncateAfter (items per response before it is cut off by the "output limit").
+//
+//   MOCK_FIXTURES_PATH       fixture file (default config/mockFixtures.json)
+//   MOCK_LATENCY_MS          base latency per page (default 150)
+//   MOCK_LATENCY_JITTER_MS   extra latency derived from the image hash (default 100)
+//   MOCK_RATE_LIMIT_PAGES    pages that answer 429 before succeeding, e.g. "2,5"
+//   MOCK_RATE_LIMIT_COUNT    how many 429s those pages return (default 1)
+//   MOCK_PARSE_ERROR_PAGES   pages that return malformed JSON
+//   MOCK_FAIL_PAGES          pages that always fail
+//   MOCK_TRUNCATE_PAGES      pages whose responses are cut off after MOCK_TRUNCATE_ITEMS items (default 2)
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'config', 'mockFixtures.json');
+const MAX_RETRIES = 3;
+const IMAGE_TOKENS = 258;
+
+const parsePageList = (value) => {
+  return (value || '').split(',').map(page => parseInt(page.trim(), 10)).filter(page => !isNaN(page));
+};
+
+const getSettings = () => ({
+  latencyMs: parseInt(process.env.MOCK_LATENCY_MS, 10) || 150,
+  jitterMs: process.env.MOCK_LATENCY_JITTER_MS !== undefined ? parseInt(process.env.MOCK_LATENCY_JITTER_MS, 10) || 0 : 100,
+  rateLimitPages: parsePageList(process.env.MOCK_RATE_LIMIT_PAGES),
+  rateLimitCount: parseInt(process.env.MOCK_RATE_LIMIT_COUNT, 10) || 1,
+  parseErrorPages: parsePageList(process.env.MOCK_PARSE_ERROR_PAGES),
+  failPages: parsePageList(process.env.MOCK_FAIL_PAGES),
+  truncatePages: parsePageList(process.env.MOCK_TRUNCATE_PAGES),
+  truncateItems: parseInt(process.env.MOCK_TRUNCATE_ITEMS, 10) || 2
+});
+
+let _fixtures = null;
+const loadFixtures = () => {
+  if (_fixtures) return _fixtures;
+
+  const fixturesPath = path.resolve(process.env.MOCK_FIXTURES_PATH || DEFAULT_FIXTURES_PATH);
+  try {
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    _fixtures = { images: fixtures.images || {}, pages: fixtures.pages || {}, default: fixtures.default || [] };
+    console.log(`Mock AI fixtures loaded from ${fixturesPath}`);
+  } catch (error) {
+    console.error(`Failed to load mock fixtures (${fixturesPath}):`, error.message);
+    _fixtures = { images: {}, pages: {}, default: [] };
+  }
+  return _fixtures;
+};
+
+const hashImage = (base64Data) => {
+  const base64Part = base64Data.includes(',') ? base64Data.split(',')[1] : base64Data;
+  return crypto.createHash('sha256').update(base64Part).digest('hex');
+};
+
+// Fixture entry for an image, normalized to { items, ...options }
+const findFixture = (imageHash, pageNumber) => {
+  const fixtures = loadFixtures();
+  const entry = fixtures.images[imageHash] ?? fixtures.pages[String(pageNumber)] ?? fixtures.default;
+  if (Array.isArray(entry)) return { items: entry };
+  return { ...entry, items: entry?.items || [] };
+};
+
+const parseResponse = (text) => {
+  try {
+    const jsonMatch = text.match(/\[[\s\S]*\]/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      if (Array.isArray(parsed)) return { parsed, error: null };
+    }
+    return { parsed: [], error: null };
+  } catch (e) {
+    return { parsed: [], error: `Parse error: ${e.message}` };
+  }
+};
+
+const rateLimitError = (pageNumber) => {
+  const error = new Error(`[429 Too Many Requests] Mock rate limit for page ${pageNumber}`);
+  error.status = 429;
+  return error;
+};
+
+// One simulated API call. `attempt` counts from 0 so rate limits clear after N retries.
+const analyzeSingleImage = async (base64Data, pageNumber, prompt, attempt) => {
+  const settings = getSettings();
+  pageNumber = parseInt(pageNumber, 10);
+  const imageHash = hashImage(base64Data);
+  const fixture = findFixture(imageHash, pageNumber);
+
+  const jitter = settings.jitterMs > 0 ? parseInt(imageHash.slice(0, 8), 16) % (settings.jitterMs + 1) : 0;
+  const latency = fixture.latencyMs ?? (settings.latencyMs + jitter);
+  await new Promise(resolve => setTimeout(resolve, latency));
+
+  const rateLimit = fixture.rateLimit ?? (settings.rateLimitPages.includes(pageNumber) ? settings.rateLimitCount : 0);
+  if (attempt < rateLimit) {
+    throw rateLimitError(pageNumber);
+  }
+
+  if (fixture.fail || settings.failPages.includes(pageNumber)) {
+    throw new Error(typeof fixture.fail === 'string' ? fixture.fail : `Mock failure for page ${pageNumber}`);
+  }
+
+  if (fixture.parseError || settings.parseErrorPages.includes(pageNumber)) {
+    const text = `[{"category": "labour", "data": {"WORKER_NAME": "Unterminated",}]`;
+    return {
+      ...parseResponse(text),
+      usage: { inputTokens: IMAGE_TOKENS + Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) }
+    };
+  }
+
+  // Each response carries up to truncateAfter items and ends mid-way through the next one
+  const truncateAfter = fixture.truncateAfter ?? (settings.truncatePages.includes(pageNumber) ? settings.truncateItems : 0);
+
+  return continuationService.extractWithContinuation({
+    label: `Page ${pageNumber}`,
+    request: async (followUp) => {
+      const remaining = fixture.items.slice(followUp ? followUp.items.length : 0);
+      const truncated = truncateAfter > 0 && remaining.length > truncateAfter;
+      let text = JSON.stringify(truncated ? remaining.slice(0, truncateAfter + 1) : remaining);
+      if (truncated) text = text.slice(0, -12);
+
+      return {
+        raw: text,
+        truncated,
+        usage: {
+          inputTokens: IMAGE_TOKENS + Math.ceil((prompt.length + (followUp ? followUp.assistantText.length + followUp.instruction.length : 0)) / 4),
+          outputTokens: Math.ceil(text.length / 4)
+        }
+      };
+    },
+    parse: parseResponse
+  });
+};
+
+const retryWithBackoff = async (base64Data, pageNumber, prompt) => {
+  let lastError = null;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      return await analyzeSingleImage(base64Data, pageNumber, prompt, attempt);
+    } catch (error) {
+      lastError = error;
+      if (error.status === 429 && attempt < MAX_RETRIES - 1) {
+        const delay = 200 + (attempt * 300);
+        console.log(`   Mock retry ${attempt + 1}/${MAX_RETRIES} for page ${pageNumber} after ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+      break;
+    }
+  }
+
+  throw lastError;
+};
+
+exports.analyzeImage = async (imageBase64, pageNumber, modelName = 'mock-fixture', prompt) => {
+  if (!prompt) throw new Error('Prompt is required from frontend');
+  try {
+    return await retryWithBackoff(imageBase64, pageNumber, prompt);
+  } catch (error) {
+    console.error(`Mock error for page ${pageNumber}:`, error.message);
+    return { parsed: [], error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+};
+
+exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'mock-fixture', prompt) => {
+  if (!prompt) throw new Error('Prompt is required from frontend');
+
+  console.log(`\nMock ANALYSIS - ${images.length} images, model: ${modelName}`);
+
+  const results = new Array(images.length).fill(null);
+  let completedCount = 0;
+  const MAX_CONCURRENT = modelRegistry.getMaxConcurrent(modelName);
+
+  const processImage = async (image, index) => {
+    try {
+      const result = await retryWithBackoff(image.base64, image.pageNumber, prompt);
+      results[index] = { ...result, raw: JSON.stringify(result.parsed) };
+    } catch (error) {
+      results[index] = { parsed: [], raw: `Error: ${error.message}`, error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+    completedCount++;
+    if (onProgress) onProgress(completedCount, images.length, image.pageNumber);
+  };
+
+  for (let i = 0; i < images.length; i += MAX_CONCURRENT) {
+    const batch = images.slice(i, i + MAX_CONCURRENT);
+    await Promise.all(batch.map((image, batchIndex) => processImage(image, i + batchIndex)));
+  }
+
+  return results;
+};
+
+exports.hashImage = hashImage;
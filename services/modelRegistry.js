@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS, MODELS, DEFAULT_MODEL } = require('../config/models');
+
+// Configuration without code changes:
+//   ENABLED_MODELS=gemini-3.5-flash,claude-sonnet-4-6   only these models are enabled
+//   DISABLED_MODELS=gpt-4-turbo                          these models are disabled
+//   DEFAULT_MODEL=gemini-3.5-flash                       default when the request omits a model
+//   MODEL_REGISTRY_CONFIG=/path/to/models.json           per-model overrides, e.g.
+//     { "models": { "gpt-4o": { "enabled": false }, "gemini-3.5-flash": { "pricing": { "input": 0.3, "output": 2.5 } } } }
+//   MODEL_FALLBACKS=gemini-3.5-flash>gpt-4o-mini;gpt-4o>claude-sonnet-4-6
+//                                                        replaces every fallback chain ("none" disables failover)
+
+const parseList = (value) => {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const loadOverrides = () => {
+  const configPath = process.env.MODEL_REGISTRY_CONFIG;
+  if (!configPath) return {};
+
+  try {
+    const resolved = path.resolve(configPath);
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    console.log(`Loaded model registry overrides from ${resolved}`);
+    return config.models || {};
+  } catch (error) {
+    console.error(`Failed to load MODEL_REGISTRY_CONFIG (${configPath}):`, error.message);
+    return {};
+  }
+};
+
+// "a>b>c;d>e" -> { a: ['b', 'c'], d: ['e'] }, or null when MODEL_FALLBACKS is unset
+const parseFallbackChains = () => {
+  const value = process.env.MODEL_FALLBACKS;
+  if (!value) return null;
+
+  const chains = {};
+  if (value.trim().toLowerCase() === 'none') return chains;
+  value.split(';').forEach(chain => {
+    const [primary, ...fallbacks] = chain.split('>').map(model => model.trim()).filter(Boolean);
+    if (primary) chains[primary] = fallbacks;
+  });
+  return chains;
+};
+
+// Build the registry once at startup
+const buildRegistry = () => {
+  const overrides = loadOverrides();
+  const enabledList = parseList(process.env.ENABLED_MODELS);
+  const disabledList = parseList(process.env.DISABLED_MODELS);
+  const fallbackChains = parseFallbackChains();
+
+  const registry = new Map();
+  MODELS.forEach(definition => {
+    const override = overrides[definition.id] || {};
+    let enabled = override.enabled !== undefined ? override.enabled : (definition.enabled !== false);
+    if (enabledList.length > 0) enabled = enabledList.includes(definition.id);
+    if (disabledList.includes(definition.id)) enabled = false;
+
+    registry.set(definition.id, {
+      ...definition,
+      ...override,
+      pricing: { ...definition.pricing, ...(override.pricing || {}) },
+      capabilities: { ...definition.capabilities, ...(override.capabilities || {}) },
+      fallbacks: fallbackChains ? (fallbackChains[definition.id] || []) : (override.fallbacks || definition.fallbacks || []),
+      enabled
+    });
+  });
+
+  return registry;
+};
+
+const registry = buildRegistry();
+
+const resolveDefaultModel = () => {
+  const configured = process.env.DEFAULT_MODEL;
+  const candidates = [configured, DEFAULT_MODEL].filter(Boolean);
+  for (const candidate of candidates) {
+    if (registry.get(candidate)?.enabled) return candidate;
+  }
+  const firstEnabled = Array.from(registry.values()).find(model => model.enabled);
+  return firstEnabled ? firstEnabled.id : DEFAULT_MODEL;
+};
+
+const defaultModel = resolveDefaultModel();
+
+exports.getModel = (modelId) => registry.get(modelId) || null;
+
+exports.isEnabled = (modelId) => !!registry.get(modelId)?.enabled;
+
+exports.isConfigured = (modelId) => {
+  const provider = PROVIDERS[registry.get(modelId)?.provider];
+  return provider ? provider.isConfigured() : false;
+};
+
+exports.getEnabledModelIds = () => {
+  return Array.from(registry.values()).filter(model => model.enabled).map(model => model.id);
+};
+
+exports.getDefaultModel = () => defaultModel;
+
+// Public description used by every listing endpoint
+exports.listModels = ({ includeDisabled = false } = {}) => {
+  return Array.from(registry.values())
+    .filter(model => includeDisabled || model.enabled)
+    .map(model => ({
+      value: model.id,
+      label: model.label,
+      description: model.description,
+      provider: model.provider,
+      providerLabel: PROVIDERS[model.provider]?.label,
+      pricing: model.pricing,
+      capabilities: model.capabilities,
+      maxConcurrent: model.maxConcurrent,
+      fallbacks: model.fallbacks,
+      enabled: model.enabled,
+      configured: exports.isConfigured(model.id),
+      isDefault: model.id === defaultModel
+    }));
+};
+
+// Service module implementing analyzeImage/analyzeImagesUltraFast for the model
+exports.getAIService = (modelId) => {
+  const model = registry.get(modelId);
+  if (!model) {
+    throw new Error(`Unknown model: ${modelId}`);
+  }
+  const provider = PROVIDERS[model.provider];
+  if (!provider) {
+    throw new Error(`No provider registered for model ${modelId}`);
+  }
+  return provider.load();
+};
+
+// Models to try in order for a page: the requested model, then its enabled and configured fallbacks
+exports.getFallbackChain = (modelId) => {
+  const fallbacks = (registry.get(modelId)?.fallbacks || [])
+    .filter(id => id !== modelId && exports.isEnabled(id) && exports.isConfigured(id));
+  return [modelId, ...new Set(fallbacks)];
+};
+
+exports.getMaxConcurrent = (modelId, keyCount = 1) => {
+  const model = registry.get(modelId);
+  return (model?.maxConcurrent || 5) * Math.max(keyCount, 1);
+};
+
+exports.getPricing = (modelId) => {
+  return registry.get(modelId)?.pricing || { input: 0, output: 0 };
+};
+
+// API cost from token usage, priced per million tokens, plus per-page pricing where the model has it.
+// A cached result costs nothing: tokens and costs are zero and savedCost holds what it would have cost.
+exports.calculateApiCost = (model, inputTokens, outputTokens, pages = 0, { cached = false } = {}) => {
+  const pricing = exports.getPricing(model);
+  const inputCost = (inputTokens / 1_000_000) * pricing.input;
+  const outputCost = (outputTokens / 1_000_000) * pricing.output;
+  const pageCost = pricing.perPage ? pages * pricing.perPage : 0;
+  const apiCost = {
+    model,
+    inputTokens,
+    outputTokens,
+    inputCost: parseFloat(inputCost.toFixed(6)),
+    outputCost: parseFloat(outputCost.toFixed(6)),
+    totalCost: parseFloat((inputCost + outputCost + pageCost).toFixed(6)),
+    currency: 'USD'
+  };
+  if (pricing.perPage) {
+    apiCost.pages = pages;
+    apiCost.pageCost = parseFloat(pageCost.toFixed(6));
+  }
+  if (cached) {
+    return { ...emptyCost(model), cached: true, savedCost: apiCost.totalCost };
+  }
+  return apiCost;
+};
+
+const COST_SUM_FIELDS = ['inputTokens', 'outputTokens', 'inputCost', 'outputCost', 'totalCost', 'pages', 'pageCost', 'savedCost'];
+
+const emptyCost = (model) => ({ model, inputTokens: 0, outputTokens: 0, inputCost: 0, outputCost: 0, totalCost: 0, currency: 'USD' });
+
+const addCost = (target, cost) => {
+  COST_SUM_FIELDS.forEach(field => {
+    if (cost[field] !== undefined) target[field] = (target[field] || 0) + cost[field];
+  });
+  return target;
+};
+
+const roundCost = (cost) => {
+  ['inputCost', 'outputCost', 'totalCost', 'pageCost', 'savedCost'].forEach(field => {
+    if (cost[field] !== undefined) cost[field] = parseFloat(cost[field].toFixed(6));
+  });
+  return cost;
+};
+
+// Sum API costs that may span several models (consensus runs). Multi-model totals list the
+// per-model costs in `breakdown`; a single model keeps the plain calculateApiCost shape.
+exports.combineApiCosts = (costs) => {
+  const perModel = new Map();
+  costs.filter(Boolean).flatMap(cost => cost.breakdown || [cost]).forEach(cost => {
+    perModel.set(cost.model, addCost(perModel.get(cost.model) || emptyCost(cost.model), cost));
+  });
+
+  const breakdown = Array.from(perModel.values()).map(roundCost);
+  if (breakdown.length === 1) return breakdown[0];
+
+  const combined = breakdown.reduce((total, cost) => addCost(total, cost), emptyCost(breakdown.map(cost => cost.model).join('+')));
+  combined.breakdown = breakdown;
+  return roundCost(combined);
+};
+
+exports.isProviderModel = (modelId, provider) => registry.get(modelId)?.provider === provider;
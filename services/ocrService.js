@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { createWorker, createScheduler } = require('tesseract.js');
+
+const modelRegistry = require('./modelRegistry');
+const { OCR_RULES } = require('../config/ocrRules');
+
+// Local provider behind the `tesseract-ocr` model. Pages are OCR'd on this server and
+// items are extracted with the regex rules in config/ocrRules.js, so documents never
+// leave the server and there is no API cost. The prompt is accepted but not used.
+//
+//   OCR_LANGUAGE              tesseract language(s), e.g. "eng" or "eng+fra" (default eng)
+//   OCR_WORKERS               number of tesseract workers (default 1)
+//   OCR_LOW_CONFIDENCE        word confidence below which words are flagged (default 60)
+//   OCR_RULES_PATH            JSON file replacing the default extraction rules
+//   TESSERACT_LANG_PATH       directory or URL with .traineddata files (downloaded on first use otherwise)
+//   TESSERACT_CACHE_PATH      where downloaded language data is cached
+
+const LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const WORKER_COUNT = Math.max(parseInt(process.env.OCR_WORKERS, 10) || 1, 1);
+const LOW_CONFIDENCE = parseFloat(process.env.OCR_LOW_CONFIDENCE) || 60;
+
+const compileRules = (rules) => ({
+  sections: Object.entries(rules.sections || {}).map(([category, pattern]) => ({ category, regex: new RegExp(pattern, 'i') })),
+  ignore: (rules.ignore || []).map(pattern => new RegExp(pattern, 'i')),
+  rules: (rules.rules || []).map(rule => ({ category: rule.category, regex: new RegExp(rule.pattern, rule.flags || '') }))
+});
+
+// Rules from OCR_RULES_PATH, or the defaults when the file cannot be read or a pattern does not compile
+const loadRules = () => {
+  if (process.env.OCR_RULES_PATH) {
+    try {
+      const compiled = compileRules(JSON.parse(fs.readFileSync(path.resolve(process.env.OCR_RULES_PATH), 'utf8')));
+      console.log(`Loaded OCR rules from ${process.env.OCR_RULES_PATH}`);
+      return compiled;
+    } catch (error) {
+      console.error(`Failed to load OCR_RULES_PATH (${process.env.OCR_RULES_PATH}), using defaults:`, error.message);
+    }
+  }
+
+  return compileRules(OCR_RULES);
+};
+
+const compiledRules = loadRules();
+
+const RETRY_STARTUP_AFTER_MS = 60000;
+
+// tesseract.js reports language download/initialization failures only through errorHandler
+// (createWorker never settles), so reject from there
+const startWorker = (workerOptions) => new Promise((resolve, reject) => {
+  const errorHandler = (error) => {
+    console.error('Tesseract worker error:', error);
+    reject(new Error(`OCR engine failed to start: ${error}`));
+  };
+  createWorker(LANGUAGE, 1, { ...workerOptions, errorHandler }).then(resolve, reject);
+});
+
+let _scheduler = null;
+let _startupFailedAt = 0;
+const getScheduler = () => {
+  // After a failed start keep failing fast for a while instead of spawning new workers per page
+  if (_scheduler && _startupFailedAt && Date.now() - _startupFailedAt > RETRY_STARTUP_AFTER_MS) {
+    _scheduler = null;
+  }
+
+  if (!_scheduler) {
+    _startupFailedAt = 0;
+    _scheduler = (async () => {
+      const scheduler = createScheduler();
+      const workerOptions = {};
+      if (process.env.TESSERACT_LANG_PATH) workerOptions.langPath = process.env.TESSERACT_LANG_PATH;
+      if (process.env.TESSERACT_CACHE_PATH) workerOptions.cachePath = process.env.TESSERACT_CACHE_PATH;
+
+      try {
+        for (let i = 0; i < WORKER_COUNT; i++) {
+          scheduler.addWorker(await startWorker(workerOptions));
+        }
+      } catch (error) {
+        _startupFailedAt = Date.now();
+        await scheduler.terminate().catch(() => {});
+        throw error;
+      }
+      console.log(`Tesseract OCR ready (${WORKER_COUNT} worker(s), language: ${LANGUAGE})`);
+      return scheduler;
+    })();
+  }
+  return _scheduler;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const average = (values) => values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+
+// Flatten tesseract's block/paragraph/line tree into lines with their words
+const collectLines = (blocks) => {
+  const lines = [];
+  (blocks || []).forEach(block => {
+    (block.paragraphs || []).forEach(paragraph => {
+      (paragraph.lines || []).forEach(line => {
+        const words = (line.words || []).map(word => ({
+          text: word.text,
+          confidence: round(word.confidence),
+          bbox: word.bbox
+        }));
+        lines.push({ text: line.text.trim(), confidence: round(line.confidence), words });
+      });
+    });
+  });
+  return lines.filter(line => line.text);
+};
+
+// Apply the section/ignore/item rules to OCR lines. Exported so rules can be checked against plain text.
+exports.extractItems = (lines, rules = compiledRules) => {
+  const items = [];
+  let section = null;
+
+  lines.forEach(line => {
+    const text = line.text.replace(/\s+/g, ' ').trim();
+    line.category = null;
+
+    const heading = rules.sections.find(s => s.regex.test(text));
+    if (heading && !/\d+\.\d{2}\s*$/.test(text)) {
+      section = heading.category;
+      return;
+    }
+
+    if (rules.ignore.some(regex => regex.test(text))) return;
+
+    const candidates = section ? rules.rules.filter(rule => rule.category === section) : rules.rules;
+    for (const rule of candidates) {
+      const match = text.match(rule.regex);
+      if (!match || !match.groups) continue;
+
+      const data = {};
+      Object.entries(match.groups).forEach(([field, value]) => {
+        if (value !== undefined) data[field] = value.trim();
+      });
+
+      const confidences = (line.words || []).map(word => word.confidence);
+      data.OCR = {
+        confidence: average(confidences),
+        minConfidence: confidences.length > 0 ? Math.min(...confidences) : 0,
+        lowConfidenceWords: (line.words || []).filter(word => word.confidence < LOW_CONFIDENCE).map(word => word.text),
+        line: text
+      };
+
+      line.category = rule.category;
+      items.push({ category: rule.category, data });
+      break;
+    }
+  });
+
+  return items;
+};
+
+const analyzeSingleImage = async (base64Data) => {
+  const base64Part = base64Data.includes(',') ? base64Data.split(',')[1] : base64Data;
+  const scheduler = await getScheduler();
+  const { data } = await scheduler.addJob('recognize', Buffer.from(base64Part, 'base64'), {}, { text: true, blocks: true });
+
+  const lines = collectLines(data.blocks);
+  const items = exports.extractItems(lines);
+  const words = lines.flatMap(line => line.words);
+
+  return {
+    parsed: items,
+    raw: data.text,
+    error: null,
+    usage: { inputTokens: 0, outputTokens: 0 },
+    ocr: {
+      engine: 'tesseract',
+      language: LANGUAGE,
+      confidence: round(data.confidence),
+      wordCount: words.length,
+      lowConfidenceThreshold: LOW_CONFIDENCE,
+      lowConfidenceCount: words.filter(word => word.confidence < LOW_CONFIDENCE).length,
+      matchedLines: lines.filter(line => line.category).length,
+      lines
+    }
+  };
+};
+
+exports.analyzeImage = async (imageBase64, pageNumber, modelName = 'tesseract-ocr', prompt) => {
+  try {
+    return await analyzeSingleImage(imageBase64);
+  } catch (error) {
+    console.error(`OCR error for page ${pageNumber}:`, error.message);
+    return { parsed: [], error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+};
+
+exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'tesseract-ocr', prompt) => {
+  console.log(`\nOCR ANALYSIS - ${images.length} images, ${WORKER_COUNT} worker(s)`);
+
+  const results = new Array(images.length).fill(null);
+  let completedCount = 0;
+  const MAX_CONCURRENT = modelRegistry.getMaxConcurrent(modelName);
+
+  const processImage = async (image, index) => {
+    try {
+      const result = await analyzeSingleImage(image.base64);
+      results[index] = result;
+      console.log(`   Page ${image.pageNumber} - ${result.parsed.length} items (confidence ${result.ocr.confidence})`);
+    } catch (error) {
+      results[index] = { parsed: [], raw: `Error: ${error.message}`, error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+    completedCount++;
+    if (onProgress) onProgress(completedCount, images.length, image.pageNumber);
+  };
+
+  for (let i = 0; i < images.length; i += MAX_CONCURRENT) {
+    const batch = images.slice(i, i + MAX_CONCURRENT);
+    await Promise.all(batch.map((image, batchIndex) => processImage(image, i + batchIndex)));
+  }
+
+  return results;
+};
+
+exports.terminate = async () => {
+  if (!_scheduler) return;
+  const scheduler = await _scheduler.catch(() => null);
+  _scheduler = null;
+  if (scheduler) await scheduler.terminate();
+};
@@ -1,11 +1,16 @@
 const OpenAI = require('openai');
 
-const OPENAI_MODELS = ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
+const modelRegistry = require('./modelRegistry');
+const structuredOutput = require('./structuredOutput');
+const continuationService = require('./continuationService');
+
+// The SDK retries rate limits, 5xx and connection errors with backoff; failoverService takes over after that
+const MAX_RETRIES = process.env.OPENAI_MAX_RETRIES !== undefined ? parseInt(process.env.OPENAI_MAX_RETRIES, 10) || 0 : 2;
 
 let _client = null;
 const getClient = () => {
   if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not configured');
-  if (!_client) _client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  if (!_client) _client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: MAX_RETRIES });
   return _client;
 };
 
@@ -27,38 +32,60 @@ const parseResponse = (text) => {
   }
 };
 
-const analyzeSingleImage = async (base64Data, modelName, prompt) => {
+const analyzeSingleImage = async (base64Data, pageNumber, modelName, prompt) => {
   const mimeMatch = base64Data.match(/^data:(image\/[a-z]+);base64,/);
   const mimeType = mimeMatch ? mimeMatch[1] : 'image/png';
   const base64Part = base64Data.includes(',') ? base64Data.split(',')[1] : base64Data;
 
-  const response = await getClient().chat.completions.create({
-    model: modelName,
-    max_tokens: 4096,
-    messages: [{
-      role: 'user',
-      content: [
-        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64Part}`, detail: 'high' } },
-        { type: 'text', text: prompt }
-      ]
-    }]
-  });
-
-  const text = response.choices[0]?.message?.content || '';
-  const usage = response.usage || {};
-  return {
-    ...parseResponse(text),
-    usage: {
-      inputTokens: usage.prompt_tokens || 0,
-      outputTokens: usage.completion_tokens || 0
-    }
+  const structured = structuredOutput.isEnabled(modelName);
+  const pageMessage = {
+    role: 'user',
+    content: [
+      { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64Part}`, detail: 'high' } },
+      { type: 'text', text: prompt }
+    ]
+  };
+  // Refusals come back instead of content and are reported as page errors
+  const parse = (raw) => {
+    if (raw && raw.refusal) return { parsed: [], error: `Model refused: ${raw.refusal}` };
+    return structured ? structuredOutput.parseItems(raw, parseResponse) : parseResponse(raw);
   };
+
+  return continuationService.extractWithContinuation({
+    label: `Page ${pageNumber}`,
+    request: async (followUp) => {
+      const messages = [pageMessage];
+      if (followUp) {
+        messages.push({ role: 'assistant', content: followUp.assistantText }, { role: 'user', content: followUp.instruction });
+      }
+
+      const response = await getClient().chat.completions.create({
+        model: modelName,
+        max_tokens: continuationService.MAX_OUTPUT_TOKENS,
+        messages,
+        ...(structured ? { response_format: structuredOutput.openaiResponseFormat() } : {})
+      });
+
+      const choice = response.choices[0] || {};
+      const message = choice.message || {};
+      const usage = response.usage || {};
+      return {
+        raw: message.refusal ? { refusal: message.refusal } : (message.content || ''),
+        truncated: choice.finish_reason === 'length',
+        usage: {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0
+        }
+      };
+    },
+    parse
+  });
 };
 
 exports.analyzeImage = async (imageBase64, pageNumber, modelName = 'gpt-4o', prompt) => {
   if (!prompt) throw new Error('Prompt is required from frontend');
   try {
-    return await analyzeSingleImage(imageBase64, modelName, prompt);
+    return await analyzeSingleImage(imageBase64, pageNumber, modelName, prompt);
   } catch (error) {
     console.error(`OpenAI error for page ${pageNumber}:`, error.message);
     return { parsed: [], error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
@@ -72,12 +99,12 @@ exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'gpt-4o'
 
   const results = new Array(images.length).fill(null);
   let completedCount = 0;
-  const MAX_CONCURRENT = 5;
+  const MAX_CONCURRENT = modelRegistry.getMaxConcurrent(modelName);
 
   const processImage = async (image, index) => {
     try {
-      const result = await analyzeSingleImage(image.base64, modelName, prompt);
-      results[index] = { parsed: result.parsed, raw: JSON.stringify(result.parsed), error: result.error, usage: result.usage };
+      const result = await analyzeSingleImage(image.base64, image.pageNumber, modelName, prompt);
+      results[index] = { ...result, raw: JSON.stringify(result.parsed) };
       completedCount++;
       if (onProgress) onProgress(completedCount, images.length, image.pageNumber);
     } catch (error) {
@@ -96,4 +123,4 @@ exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'gpt-4o'
   return results;
 };
 
-exports.isOpenAIModel = (modelName) => OPENAI_MODELS.includes(modelName);
+exports.isOpenAIModel = (modelName) => modelRegistry.isProviderModel(modelName, 'openai');
@@ -0,0 +1,104 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Prompt = require('../models/Prompt');
+const ExtractionRun = require('../models/ExtractionRun');
+const SpendEntry = require('../models/SpendEntry');
+const Budget = require('../models/Budget');
+
+// Organizations and their allowed email domains. A user belongs to the organization owning their
+// email domain, resolved again at every sign-in. Removing a domain (or deactivating the organization)
+// locks its users out on their next request; once the domain is added to another organization they
+// join it by signing in again.
+//
+//   DEFAULT_ORGANIZATION_NAME      organization created on first start (default GNC Group)
+//   DEFAULT_ORGANIZATION_DOMAINS   its comma-separated domains (default gncgroup.ca)
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Organizations are read on every authenticated request; changes made here clear the cache
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const emailDomain = (email) => String(email || '').split('@').pop().toLowerCase();
+
+// Lowercased, de-duplicated domains and the entries that are not valid domains
+const normalizeDomains = (domains) => {
+  const normalized = [...new Set([].concat(domains || []).map(domain => String(domain).trim().toLowerCase().replace(/^@/, '')))];
+  return {
+    domains: normalized.filter(domain => DOMAIN_PATTERN.test(domain)),
+    invalid: normalized.filter(domain => !DOMAIN_PATTERN.test(domain))
+  };
+};
+
+exports.getOrganization = async (organizationId) => {
+  if (!organizationId) return null;
+
+  const key = String(organizationId);
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.organization;
+
+  const organization = await Organization.findById(organizationId).lean();
+  cache.set(key, { organization, loadedAt: Date.now() });
+  return organization;
+};
+
+exports.clearCache = () => cache.clear();
+
+// Active organization that owns the email's domain
+exports.findForEmail = async (email) => {
+  return Organization.findOne({ domains: emailDomain(email), isActive: true }).lean();
+};
+
+// A user may use the API while their organization is active and still allows their email domain
+exports.isMember = async (user) => {
+  const organization = await exports.getOrganization(user.organization);
+  return !!organization && organization.isActive && organization.domains.includes(emailDomain(user.email));
+};
+
+// Domains already owned by another organization
+exports.findTakenDomains = async (domains, exceptOrganizationId) => {
+  const filter = { domains: { $in: domains } };
+  if (exceptOrganizationId) filter._id = { $ne: exceptOrganizationId };
+
+  const owners = await Organization.find(filter).select('name domains').lean();
+  return domains
+    .map(domain => ({ domain, organization: owners.find(owner => owner.domains.includes(domain))?.name }))
+    .filter(entry => entry.organization);
+};
+
+// First start: create the default organization and attach data from before organizations existed
+exports.ensureDefaultOrganization = async () => {
+  let organization = await Organization.findOne().sort({ createdAt: 1 });
+  if (!organization) {
+    const { domains } = normalizeDomains((process.env.DEFAULT_ORGANIZATION_DOMAINS || 'gncgroup.ca').split(','));
+    organization = await Organization.create({
+      name: process.env.DEFAULT_ORGANIZATION_NAME || 'GNC Group',
+      domains,
+      createdBy: 'system'
+    });
+    console.log(`🏢 Created default organization ${organization.name} (${domains.join(', ')})`);
+  }
+
+  const unassigned = { organization: null };
+  const [users, prompts, runs, spend, budgets] = await Promise.all([
+    User.updateMany(unassigned, { organization: organization._id }),
+    Prompt.updateMany(unassigned, { organization: organization._id }),
+    ExtractionRun.updateMany(unassigned, { organization: organization._id }),
+    SpendEntry.updateMany(unassigned, { organization: organization._id }),
+    Budget.updateMany({ scope: 'global', organization: null }, { organization: organization._id })
+  ]);
+  const migrated = users.modifiedCount + prompts.modifiedCount + runs.modifiedCount + spend.modifiedCount + budgets.modifiedCount;
+  if (migrated > 0) {
+    console.log(`🏢 Attached ${users.modifiedCount} users, ${prompts.modifiedCount} prompts, ${runs.modifiedCount} runs, ${spend.modifiedCount} spend entries and ${budgets.modifiedCount} global budgets to ${organization.name}`);
+  }
+
+  // Prompt names used to be unique across the whole library and there was one global budget;
+  // both are now per organization
+  await Prompt.collection.dropIndex('name_1').catch(() => {});
+  await Budget.collection.dropIndex('scope_1_user_1').catch(() => {});
+
+  return organization;
+};
+
+exports.normalizeDomains = normalizeDomains;
+exports.emailDomain = emailDomain;
@@ -0,0 +1,81 @@
+const pdfParse = require('pdf-parse');
+const { fromBuffer } = require('pdf2pic');
+
+// Rasterization settings (requires GraphicsMagick and Ghostscript on the server)
+const RASTER_OPTIONS = {
+  density: parseInt(process.env.PDF_RASTER_DENSITY, 10) || 200,
+  width: parseInt(process.env.PDF_RASTER_WIDTH, 10) || 1700,
+  preserveAspectRatio: true,
+  format: 'png'
+};
+
+const MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES, 10) || 200;
+
+// Count pages without rendering anything
+exports.getPageCount = async (pdfBuffer) => {
+  const data = await pdfParse(pdfBuffer, { max: 1 });
+  return data.numpages;
+};
+
+// Resolve the caller's page selection into a sorted list of page numbers.
+// Accepts "1-3,5,8-" style ranges or a pageStart/pageEnd pair.
+exports.parsePageRange = ({ pages, pageStart, pageEnd }, totalPages) => {
+  const selected = new Set();
+
+  const addRange = (start, end) => {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+      throw new Error(`Invalid page range: ${start}-${end}`);
+    }
+    if (start > totalPages) {
+      throw new Error(`Page ${start} is out of range. PDF has ${totalPages} pages`);
+    }
+    for (let page = start; page <= Math.min(end, totalPages); page++) {
+      selected.add(page);
+    }
+  };
+
+  if (pages && String(pages).trim() !== '') {
+    String(pages).split(',').forEach(part => {
+      const token = part.trim();
+      const match = token.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+      if (!token || !match || (!match[1] && !match[3])) {
+        throw new Error(`Invalid page selection: "${token}"`);
+      }
+      const start = match[1] ? parseInt(match[1], 10) : 1;
+      const end = match[2] ? (match[3] ? parseInt(match[3], 10) : totalPages) : start;
+      addRange(start, end);
+    });
+  } else {
+    const start = pageStart ? parseInt(pageStart, 10) : 1;
+    const end = pageEnd ? parseInt(pageEnd, 10) : totalPages;
+    addRange(start, end);
+  }
+
+  const pageNumbers = Array.from(selected).sort((a, b) => a - b);
+
+  if (pageNumbers.length > MAX_PAGES) {
+    throw new Error(`Too many pages selected (${pageNumbers.length}). Maximum is ${MAX_PAGES} per request`);
+  }
+
+  return pageNumbers;
+};
+
+// Render the selected pages to base64 PNG data URLs
+exports.rasterizePages = async (pdfBuffer, pageNumbers) => {
+  console.log(`Rasterizing ${pageNumbers.length} PDF page(s) at ${RASTER_OPTIONS.density} DPI`);
+
+  const convert = fromBuffer(pdfBuffer, RASTER_OPTIONS);
+  const rendered = await convert.bulk(pageNumbers, { responseType: 'base64' });
+
+  return rendered.map(page => {
+    if (!page.base64) {
+      throw new Error(`Failed to rasterize page ${page.page}`);
+    }
+    return {
+      pageNumber: page.page,
+      image: `data:image/png;base64,${page.base64}`
+    };
+  });
+};
+
+exports.MAX_PAGES = MAX_PAGES;
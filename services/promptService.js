@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Prompt = require('../models/Prompt');
+
+// Resolve the prompt for a processing request: raw `prompt` text from the frontend,
+// or a library prompt by `promptId` (latest published version unless `promptVersion` is given)
+// from the user's organization. Returns null when neither was provided; throws when the prompt is not
+// text or the library prompt cannot be used.
+exports.resolvePrompt = async ({ prompt, promptId, promptVersion, organization }) => {
+  if (!promptId) {
+    if (prompt !== undefined && prompt !== null && typeof prompt !== 'string') {
+      throw new Error('prompt must be text');
+    }
+    return prompt ? { text: prompt, promptRef: null } : null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(promptId)) {
+    throw new Error(`Invalid promptId: ${promptId}`);
+  }
+
+  const libraryPrompt = await Prompt.findOne({ _id: promptId, organization });
+  if (!libraryPrompt) {
+    throw new Error(`Prompt ${promptId} not found`);
+  }
+
+  let version;
+  if (promptVersion !== undefined && promptVersion !== null && promptVersion !== '') {
+    version = libraryPrompt.getVersion(parseInt(promptVersion, 10));
+    if (!version) {
+      throw new Error(`Prompt "${libraryPrompt.name}" has no version ${promptVersion}`);
+    }
+  } else {
+    version = libraryPrompt.getPublishedVersion();
+    if (!version) {
+      throw new Error(`Prompt "${libraryPrompt.name}" has no published version`);
+    }
+  }
+
+  return {
+    text: version.text,
+    promptRef: {
+      promptId: libraryPrompt._id.toString(),
+      name: libraryPrompt.name,
+      version: version.version,
+      status: version.status
+    }
+  };
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ResultCache = require('../models/ResultCache');
+const modelRegistry = require('./modelRegistry');
+
+// Content-addressed result cache. A page image analyzed again with the same prompt text and
+// model (a re-upload after a UI hiccup) gets the stored result instead of a new paid request.
+// Entries are kept per organization so one organization's documents never answer another's.
+// Cached results carry `cached: true` and an apiCost of zero with the avoided cost in savedCost.
+// Only complete results are stored: errors, truncated pages, consensus runs where a model failed
+// and empty pages (often a misread) are analyzed again next time.
+//
+//   RESULT_CACHE            set to false to disable the cache
+//   RESULT_CACHE_TTL_DAYS   days an entry is kept after it was stored (default 30)
+
+const ENABLED = process.env.RESULT_CACHE !== 'false';
+const TTL_DAYS = parseFloat(process.env.RESULT_CACHE_TTL_DAYS) || 30;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Hash of the image content, ignoring the data: URL prefix
+const hashImage = (base64Data) => sha256(base64Data.includes(',') ? base64Data.split(',')[1] : base64Data);
+
+const buildKey = (organization, image, model, prompt, promptRef) => {
+  const imageHash = hashImage(image);
+  const promptHash = sha256(prompt);
+  return {
+    key: sha256(`${organization}:${imageHash}:${promptHash}:${model}`),
+    organization,
+    imageHash,
+    promptHash,
+    promptId: promptRef ? promptRef.promptId : undefined,
+    promptVersion: promptRef ? promptRef.version : undefined,
+    model
+  };
+};
+
+// Lookups and writes are skipped while MongoDB is unavailable rather than buffered
+const isAvailable = () => ENABLED && mongoose.connection.readyState === 1;
+
+const isCacheable = (result) => {
+  if (!result || result.error || result.truncated) return false;
+  if (!Array.isArray(result.parsed) || result.parsed.length === 0) return false;
+  return Object.keys(result.consensus?.modelErrors || {}).length === 0;
+};
+
+// Zero-cost apiCost for a cached result, per model for consensus entries
+const cachedApiCost = (entry) => {
+  const usage = entry.usage || {};
+  const original = entry.apiCost || modelRegistry.calculateApiCost(entry.modelUsed || entry.model, usage.inputTokens || 0, usage.outputTokens || 0, usage.pages || 0);
+  return modelRegistry.combineApiCosts((original.breakdown || [original]).map(cost => {
+    return modelRegistry.calculateApiCost(cost.model, cost.inputTokens || 0, cost.outputTokens || 0, cost.pages || 0, { cached: true });
+  }));
+};
+
+// Provider-shaped result from a cache entry
+const fromEntry = (entry) => ({
+  parsed: entry.parsed,
+  raw: entry.raw,
+  error: null,
+  usage: { inputTokens: 0, outputTokens: 0 },
+  ocr: entry.ocr,
+  consensus: entry.consensus,
+  modelUsed: entry.modelUsed,
+  continuations: entry.continuations,
+  apiCost: cachedApiCost(entry),
+  cached: true,
+  cachedAt: entry.updatedAt
+});
+
+const findEntries = async (keys) => {
+  const entries = new Map();
+  if (!isAvailable() || keys.length === 0) return entries;
+
+  try {
+    const found = await ResultCache.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } }).lean();
+    found.forEach(entry => entries.set(entry.key, entry));
+    if (found.length > 0) {
+      await ResultCache.updateMany({ key: { $in: found.map(entry => entry.key) } }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } });
+    }
+  } catch (error) {
+    console.error('Result cache lookup failed:', error.message);
+  }
+  return entries;
+};
+
+const storeEntry = async (keyInfo, result) => {
+  if (!isAvailable() || !isCacheable(result)) return;
+
+  try {
+    await ResultCache.updateOne(
+      { key: keyInfo.key },
+      {
+        $set: {
+          ...keyInfo,
+          modelUsed: result.modelUsed || keyInfo.model,
+          parsed: result.parsed,
+          raw: result.raw,
+          usage: result.usage,
+          apiCost: result.apiCost,
+          ocr: result.ocr ? { ...result.ocr, lines: undefined } : undefined,
+          consensus: result.consensus,
+          failover: result.failover,
+          continuations: result.continuations,
+          expiresAt: new Date(Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Result cache write failed:', error.message);
+  }
+};
+
+// Single page: the cached result, or analyze() stored for next time.
+// bypass skips the lookup but still refreshes the entry with the new result.
+exports.analyzeImage = async ({ organization, image, model, prompt, promptRef, bypass = false }, analyze) => {
+  const keyInfo = buildKey(organization, image, model, prompt, promptRef);
+
+  if (!bypass) {
+    const entry = (await findEntries([keyInfo.key])).get(keyInfo.key);
+    if (entry) {
+      console.log(`Result cache hit for ${model} (image ${keyInfo.imageHash.slice(0, 12)})`);
+      return fromEntry(entry);
+    }
+  }
+
+  const result = await analyze();
+  await storeEntry(keyInfo, result);
+  return result;
+};
+
+// Batch: cached pages are reported as analyzed right away and analyze(images, onProgress)
+// runs only the rest. Results keep the order of images.
+exports.analyzeImages = async ({ organization, images, model, prompt, promptRef, bypass = false }, onProgress, analyze) => {
+  const keys = images.map(image => buildKey(organization, image.base64, model, prompt, promptRef));
+  const entries = bypass ? new Map() : await findEntries(keys.map(keyInfo => keyInfo.key));
+
+  const results = new Array(images.length).fill(null);
+  const missing = [];
+  let completed = 0;
+  images.forEach((image, index) => {
+    const entry = entries.get(keys[index].key);
+    if (entry) {
+      results[index] = fromEntry(entry);
+      completed++;
+      if (onProgress) onProgress(completed, images.length, image.pageNumber);
+    } else {
+      missing.push(index);
+    }
+  });
+
+  if (entries.size > 0) {
+    console.log(`Result cache: ${entries.size}/${images.length} page(s) served from cache`);
+  }
+  if (missing.length === 0) return results;
+
+  const cachedCount = completed;
+  const analyzed = await analyze(
+    missing.map(index => images[index]),
+    onProgress ? (done, total, pageNumber) => onProgress(cachedCount + done, images.length, pageNumber) : null
+  );
+
+  await Promise.all(missing.map((imageIndex, index) => {
+    results[imageIndex] = analyzed[index];
+    return storeEntry(keys[imageIndex], analyzed[index]);
+  }));
+  return results;
+};
+
+// Remove an organization's entries by image (imageHash or the base64 image), model and/or prompt;
+// all removes every entry of the organization
+exports.invalidate = async ({ organization, imageHash, image, model, promptId, all = false }) => {
+  const filter = {};
+  if (image) filter.imageHash = hashImage(image);
+  else if (imageHash) filter.imageHash = imageHash;
+  if (model) filter.model = model;
+  if (promptId) filter.promptId = promptId;
+
+  if (Object.keys(filter).length === 0 && !all) {
+    throw new Error('Provide imageHash, image, model or promptId, or all: true to clear the whole cache');
+  }
+
+  const result = await ResultCache.deleteMany({ ...filter, organization });
+  return result.deletedCount;
+};
+
+exports.getStats = async ({ organization }) => {
+  const match = { $match: { organization: new mongoose.Types.ObjectId(organization) } };
+  const [totals] = await ResultCache.aggregate([
+    match,
+    { $group: { _id: null, entries: { $sum: 1 }, hits: { $sum: '$hits' } } }
+  ]);
+  const perModel = await ResultCache.aggregate([
+    match,
+    { $group: { _id: '$model', entries: { $sum: 1 }, hits: { $sum: '$hits' } } },
+    { $sort: { entries: -1 } }
+  ]);
+
+  return {
+    enabled: ENABLED,
+    ttlDays: TTL_DAYS,
+    entries: totals ? totals.entries : 0,
+    hits: totals ? totals.hits : 0,
+    models: perModel.map(row => ({ model: row._id, entries: row.entries, hits: row.hits }))
+  };
+};
+
+exports.hashImage = hashImage;
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const ExtractionRun = require('../models/ExtractionRun');
+const ExtractedItem = require('../models/ExtractedItem');
+const calculationService = require('./calculationService');
+const validationService = require('./validationService');
+
+// Human review of persisted items. Reviewers approve, correct or reject items one at a time or a
+// whole page at once. A page is reviewed when none of its items is pending (a page without items,
+// e.g. one that failed, is reviewed by approving or rejecting the page itself) and the run becomes
+// approved once every page is reviewed, after which it can no longer be changed. Corrections and
+// rejections recompute the page and run totals from the items that were not rejected.
+
+const REVIEW_STATUSES = ExtractedItem.schema.path('reviewStatus').enumValues;
+
+// Stamped by the pipeline or added on read - reviewers cannot edit them
+const METADATA_FIELDS = [
+  'PAGE_NUMBER', 'SESSION_ID', 'USER_ID', 'MODEL_USED', 'PROMPT_USED', 'PROMPT_ID', 'PROMPT_VERSION',
+  'VALIDATION', 'CALCULATION', 'OCR', 'TEXTRACT', 'CONSENSUS',
+  'ITEM_ID', 'REVIEW_STATUS', 'REVIEWED_BY', 'REVIEWED_AT'
+];
+const FIELD_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Large per-page payloads are not needed for review
+const RUN_PROJECTION = { 'pages.rawOutput': 0, 'pages.droppedItems': 0, 'pages.ocr': 0, prompt: 0 };
+
+exports.findRun = async (runId, organization) => {
+  if (!mongoose.Types.ObjectId.isValid(runId)) return null;
+  return ExtractionRun.findOne({ _id: runId, organization }, RUN_PROJECTION);
+};
+
+// Item and its run, limited to the organization
+exports.findItem = async (itemId, organization) => {
+  if (!mongoose.Types.ObjectId.isValid(itemId)) return {};
+  const item = await ExtractedItem.findById(itemId);
+  const run = item ? await exports.findRun(item.run, organization) : null;
+  return run ? { item, run } : {};
+};
+
+// Field corrections from a request body. Returns { corrections } or { error }.
+exports.readCorrections = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
+    return { error: 'data must be an object of field names and their corrected values' };
+  }
+
+  const invalid = Object.keys(data).filter(field => !FIELD_PATTERN.test(field) || METADATA_FIELDS.includes(field));
+  if (invalid.length > 0) {
+    return { error: `These fields cannot be edited: ${invalid.join(', ')}` };
+  }
+
+  const badValues = Object.entries(data).filter(([field, value]) => value !== null && !['string', 'number'].includes(typeof value));
+  if (badValues.length > 0) {
+    return { error: `Values must be text, numbers or null: ${badValues.map(([field]) => field).join(', ')}` };
+  }
+
+  return { corrections: data };
+};
+
+const markReviewed = (item, { status, note, reviewer }) => {
+  item.reviewStatus = status;
+  item.reviewedBy = reviewer.id;
+  item.reviewedByEmail = reviewer.email;
+  item.reviewedAt = new Date();
+  if (note !== undefined) item.reviewNote = note;
+};
+
+// Approve or reject an item, or apply corrections (which marks it corrected). Validation and the
+// amount check are rerun on corrected data; the model's data is kept in originalData.
+exports.reviewItem = async (item, run, { status, corrections, note, reviewer }) => {
+  if (corrections) {
+    if (!item.originalData) item.originalData = { ...item.data };
+
+    const data = { ...item.data, ...corrections };
+    data.VALIDATION = validationService.validateItem(item.category, data);
+    const calculation = calculationService.calculateItem(item.category, data, { tolerance: run.totals?.tolerance });
+    if (calculation) data.CALCULATION = calculation;
+
+    item.data = data;
+    status = 'corrected';
+  } else if (status === 'approved' && item.reviewStatus === 'corrected') {
+    // Approving a corrected item keeps the record that it was corrected
+    status = 'corrected';
+  }
+
+  markReviewed(item, { status, note, reviewer });
+  await item.save();
+  return item;
+};
+
+// Approve every pending item on a page, or reject every item on it. Returns the number changed.
+exports.reviewPage = async (run, pageNumber, { status, note, reviewer }) => {
+  const filter = { run: run._id, pageNumber };
+  filter.reviewStatus = status === 'approved' ? 'pending' : { $ne: 'rejected' };
+
+  const update = {
+    reviewStatus: status,
+    reviewedBy: reviewer.id,
+    reviewedByEmail: reviewer.email,
+    reviewedAt: new Date()
+  };
+  if (note !== undefined) update.reviewNote = note;
+
+  const result = await ExtractedItem.updateMany(filter, update);
+  return result.modifiedCount;
+};
+
+// Recompute page review state and the run's review status after a review action. `reviewedPage`
+// marks a page reviewed even without items; `recalculate` recomputes totals without rejected items.
+exports.refreshRun = async (run, { reviewer, reviewedPage, recalculate = false }) => {
+  const items = await ExtractedItem.find({ run: run._id })
+    .select('pageNumber category data reviewStatus')
+    .sort({ pageNumber: 1, category: 1, position: 1 })
+    .lean();
+
+  const now = new Date();
+  const set = {};
+  const pageTotals = [];
+  let reviewedPages = 0;
+
+  run.pages.forEach((page, index) => {
+    const pageItems = items.filter(item => item.pageNumber === page.pageNumber);
+    const reviewed = pageItems.every(item => item.reviewStatus !== 'pending')
+      && (pageItems.length > 0 || !!page.reviewedAt || page.pageNumber === reviewedPage);
+
+    if (reviewed) {
+      reviewedPages++;
+      if (!page.reviewedAt) {
+        set[`pages.${index}.reviewedAt`] = now;
+        set[`pages.${index}.reviewedBy`] = reviewer.email;
+      }
+    }
+
+    if (recalculate && page.totals) {
+      const pageResult = calculationService.createEmptyPageResult();
+      pageItems
+        .filter(item => item.reviewStatus !== 'rejected')
+        .forEach(item => pageResult[item.category].push({ ...item.data }));
+      const totals = calculationService.calculatePageTotals(pageResult, { province: page.totals.province, tolerance: page.totals.tolerance });
+      set[`pages.${index}.totals`] = totals;
+      pageTotals.push(totals);
+    } else {
+      pageTotals.push(page.totals);
+    }
+  });
+
+  if (recalculate && run.totals) {
+    set.totals = calculationService.combineTotals(pageTotals, { province: run.totals.province, tolerance: run.totals.tolerance });
+  }
+
+  const approved = run.pages.length > 0 && reviewedPages === run.pages.length;
+  const started = reviewedPages > 0 || items.some(item => item.reviewStatus !== 'pending');
+  set.reviewStatus = approved ? 'approved' : started ? 'in_review' : 'pending';
+  set.reviewedPages = reviewedPages;
+  if (approved && run.reviewStatus !== 'approved') {
+    set.approvedBy = reviewer.email;
+    set.approvedAt = now;
+  }
+
+  return ExtractionRun.findOneAndUpdate({ _id: run._id }, { $set: set }, { new: true, projection: RUN_PROJECTION });
+};
+
+// Item counts per review status for each page of a run
+exports.summarizePages = (run, items) => {
+  return [...run.pages]
+    .sort((a, b) => a.pageNumber - b.pageNumber)
+    .map(page => {
+      const counts = {};
+      REVIEW_STATUSES.forEach(status => { counts[status] = 0; });
+      items.filter(item => item.pageNumber === page.pageNumber).forEach(item => { counts[item.reviewStatus]++; });
+      return {
+        pageNumber: page.pageNumber,
+        error: page.error,
+        itemCount: page.itemCount,
+        ...counts,
+        reviewedAt: page.reviewedAt,
+        reviewedBy: page.reviewedBy
+      };
+    });
+};
+
+exports.formatItem = (item) => ({
+  id: item._id,
+  pageNumber: item.pageNumber,
+  category: item.category,
+  position: item.position,
+  model: item.model,
+  data: item.data,
+  reviewStatus: item.reviewStatus,
+  reviewedBy: item.reviewedByEmail,
+  reviewedAt: item.reviewedAt,
+  reviewNote: item.reviewNote,
+  originalData: item.originalData
+});
+
+exports.formatRunReview = (run) => ({
+  id: run._id,
+  status: run.status,
+  reviewStatus: run.reviewStatus,
+  reviewedPages: run.reviewedPages,
+  pageCount: run.pages.length,
+  approvedBy: run.approvedBy,
+  approvedAt: run.approvedAt,
+  totals: run.totals
+});
+
+exports.REVIEW_STATUSES = REVIEW_STATUSES;
+exports.RUN_REVIEW_STATUSES = ExtractionRun.schema.path('reviewStatus').enumValues;
@@ -59,6 +59,10 @@ class SessionStore {
     return false;
   }
 
+  getSession(sessionId) {
+    return this.sessionData.get(sessionId) || null;
+  }
+
   getUserSessions(userId) {
     const userSessions = this.userSessions.get(userId);
     if (!userSessions) return [];
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+
+const SpendEntry = require('../models/SpendEntry');
+const Budget = require('../models/Budget');
+const modelRegistry = require('./modelRegistry');
+
+// AI spend ledger and monthly budgets. Every recorded page writes its cost to the ledger
+// (per model called), so cancelled and failed runs are charged for what they used. Before
+// processing starts the request's cost is estimated from its page count; a request that would
+// take the user's or their organization's spend past the monthly limit is refused, or switched to
+// the most expensive cheaper model that still fits when the budget's action is `downgrade`.
+// The global budget is per organization: it covers all users of one organization together.
+//
+//   BUDGET_GLOBAL_MONTHLY_USD       monthly limit for all users of an organization together (unlimited when unset)
+//   BUDGET_USER_MONTHLY_USD         default monthly limit per user (unlimited when unset)
+//   BUDGET_ACTION                   refuse | downgrade, for budgets without their own action (default refuse)
+//   BUDGET_DOWNGRADE_MODELS         models a request may be downgraded to (default every enabled, non-local model)
+//   BUDGET_ESTIMATE_INPUT_TOKENS    input tokens assumed per page for the pre-flight estimate (default 2000)
+//   BUDGET_ESTIMATE_OUTPUT_TOKENS   output tokens assumed per page (default 1500)
+
+const ACTIONS = ['refuse', 'downgrade'];
+const GROUP_FIELDS = ['user', 'model', 'month'];
+
+const ESTIMATE_INPUT_TOKENS = parseInt(process.env.BUDGET_ESTIMATE_INPUT_TOKENS, 10) || 2000;
+const ESTIMATE_OUTPUT_TOKENS = parseInt(process.env.BUDGET_ESTIMATE_OUTPUT_TOKENS, 10) || 1500;
+
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const limit = parseFloat(value);
+  return isNaN(limit) || limit < 0 ? null : limit;
+};
+
+const defaultAction = () => ACTIONS.includes(process.env.BUDGET_ACTION) ? process.env.BUDGET_ACTION : 'refuse';
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+const currentMonth = (date = new Date()) => date.toISOString().substring(0, 7);
+
+// The ledger is skipped (and budgets are not enforced) while MongoDB is unavailable
+const isAvailable = () => mongoose.connection.readyState === 1;
+
+// Write the ledger entries for one recorded page. `run` is the run, or just its user, userEmail,
+// organization and sessionId when the run could not be stored.
+exports.recordPageSpend = async (run, { pageNumber, apiCost }) => {
+  if (!run || !apiCost || !isAvailable()) return;
+
+  try {
+    const month = currentMonth();
+    const entries = (apiCost.breakdown || [apiCost]).map(cost => ({
+      user: run.user,
+      userEmail: run.userEmail,
+      organization: run.organization,
+      run: run._id,
+      sessionId: run.sessionId,
+      pageNumber,
+      model: cost.model,
+      month,
+      inputTokens: cost.inputTokens || 0,
+      outputTokens: cost.outputTokens || 0,
+      pages: cost.pages,
+      cost: cost.totalCost || 0,
+      savedCost: cost.savedCost,
+      cached: cost.savedCost !== undefined ? true : undefined,
+      currency: cost.currency || 'USD'
+    }));
+    await SpendEntry.insertMany(entries);
+  } catch (error) {
+    console.error(`Failed to record spend for page ${pageNumber} of session ${run.sessionId}:`, error.message);
+  }
+};
+
+// Estimated cost of analyzing pageCount pages with a model (or every consensus model)
+exports.estimateCost = (models, pageCount) => {
+  return round([].concat(models).reduce((sum, model) => {
+    return sum + modelRegistry.calculateApiCost(model, ESTIMATE_INPUT_TOKENS * pageCount, ESTIMATE_OUTPUT_TOKENS * pageCount, pageCount).totalCost;
+  }, 0));
+};
+
+// Spend this month of one user, or of the whole organization when userId is null
+const spentThisMonth = async (userId, organization) => {
+  const match = { month: currentMonth() };
+  if (userId) match.user = new mongoose.Types.ObjectId(userId);
+  else match.organization = organization ? new mongoose.Types.ObjectId(organization) : null;
+  const [row] = await SpendEntry.aggregate([
+    { $match: match },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+  return row ? round(row.cost) : 0;
+};
+
+// Effective organization and user budgets: stored overrides, else the environment defaults
+const resolveBudgets = async (userId, organization) => {
+  const stored = await Budget.find({
+    $or: [{ scope: 'global', organization: organization || null }, { scope: 'user', user: userId }]
+  }).lean();
+  const globalBudget = stored.find(budget => budget.scope === 'global');
+  const userBudget = stored.find(budget => budget.scope === 'user');
+
+  return [
+    {
+      scope: 'user',
+      limit: userBudget ? userBudget.monthlyLimit : parseLimit(process.env.BUDGET_USER_MONTHLY_USD),
+      action: userBudget ? userBudget.action : defaultAction(),
+      source: userBudget ? 'override' : 'default'
+    },
+    {
+      scope: 'global',
+      limit: globalBudget ? globalBudget.monthlyLimit : parseLimit(process.env.BUDGET_GLOBAL_MONTHLY_USD),
+      action: globalBudget ? globalBudget.action : defaultAction(),
+      source: globalBudget ? 'override' : 'default'
+    }
+  ];
+};
+
+// Current month's spend against each budget for a user of the organization
+exports.getBudgetStatus = async (userId, organization) => {
+  const budgets = await resolveBudgets(userId, organization);
+  const [userSpent, globalSpent] = await Promise.all([spentThisMonth(userId), spentThisMonth(null, organization)]);
+
+  return budgets.map(budget => {
+    const spent = budget.scope === 'user' ? userSpent : globalSpent;
+    return {
+      ...budget,
+      month: currentMonth(),
+      spent,
+      remaining: budget.limit === null ? null : round(Math.max(budget.limit - spent, 0))
+    };
+  });
+};
+
+const exceededBudgets = (budgets, estimate) => {
+  return budgets.filter(budget => budget.limit !== null && budget.spent + estimate > budget.limit);
+};
+
+// Models a request may be downgraded to, most expensive first
+const downgradeCandidates = (model, pageCount) => {
+  const configured = (process.env.BUDGET_DOWNGRADE_MODELS || '').split(',').map(id => id.trim()).filter(Boolean);
+  const ids = configured.length > 0
+    ? configured
+    : modelRegistry.getEnabledModelIds().filter(id => !modelRegistry.getModel(id)?.capabilities?.local);
+
+  const requestedEstimate = exports.estimateCost(model, pageCount);
+  return ids
+    .filter(id => id !== model && modelRegistry.isEnabled(id) && modelRegistry.isConfigured(id))
+    .map(id => ({ model: id, estimate: exports.estimateCost(id, pageCount) }))
+    .filter(candidate => candidate.estimate < requestedEstimate)
+    .sort((a, b) => b.estimate - a.estimate);
+};
+
+const budgetMessage = (budget) => {
+  const name = budget.scope === 'user' ? 'Your monthly AI budget' : 'The organization-wide monthly AI budget';
+  return `${name} of $${budget.limit.toFixed(2)} ($${budget.spent.toFixed(2)} spent this month) would be exceeded`;
+};
+
+// Pre-flight budget check for a request of pageCount pages.
+// Returns { allowed, model, estimate, budgets } plus downgradedFrom or a refusal message.
+exports.checkBudget = async ({ userId, organization, model, consensusModels = [], pageCount }) => {
+  const models = consensusModels.length > 0 ? consensusModels : [model];
+  const estimate = exports.estimateCost(models, pageCount);
+
+  if (!isAvailable()) {
+    return { allowed: true, model, estimate, budgets: [], enforced: false };
+  }
+
+  let budgets;
+  try {
+    budgets = await exports.getBudgetStatus(userId, organization);
+  } catch (error) {
+    // A ledger outage must not stop processing
+    console.error(`Budget check failed for user ${userId}:`, error.message);
+    return { allowed: true, model, estimate, budgets: [], enforced: false };
+  }
+  const exceeded = exceededBudgets(budgets, estimate);
+  if (exceeded.length === 0) {
+    return { allowed: true, model, estimate, budgets };
+  }
+
+  const refusal = {
+    allowed: false,
+    model,
+    estimate,
+    budgets,
+    message: `${budgetMessage(exceeded[0])} by this request (estimated $${estimate.toFixed(4)} for ${pageCount} page(s) with ${model})`
+  };
+
+  if (exceeded.some(budget => budget.action !== 'downgrade')) return refusal;
+  if (consensusModels.length > 0) {
+    return { ...refusal, message: `${refusal.message}. Consensus requests are not downgraded` };
+  }
+
+  const candidate = downgradeCandidates(model, pageCount)
+    .find(option => exceededBudgets(budgets, option.estimate).length === 0);
+  if (!candidate) {
+    return { ...refusal, message: `${refusal.message} and no cheaper model fits the remaining budget` };
+  }
+
+  console.log(`Budget downgrade for user ${userId}: ${model} -> ${candidate.model} (estimated $${estimate.toFixed(4)} -> $${candidate.estimate.toFixed(4)})`);
+  return {
+    allowed: true,
+    model: candidate.model,
+    downgradedFrom: model,
+    estimate: candidate.estimate,
+    budgets,
+    message: `${budgetMessage(exceeded[0])} with ${model} - using ${candidate.model} instead`
+  };
+};
+
+// Spend totals grouped by any of user, model and month. from/to are YYYY-MM (inclusive).
+// pagesAnalyzed counts a consensus page once per model.
+exports.getSpend = async ({ userId, organization, from, to, groupBy = ['month'] }) => {
+  const match = {};
+  if (userId) match.user = new mongoose.Types.ObjectId(userId);
+  if (organization) match.organization = new mongoose.Types.ObjectId(organization);
+  if (from || to) {
+    match.month = {};
+    if (from) match.month.$gte = from;
+    if (to) match.month.$lte = to;
+  }
+
+  const id = {};
+  groupBy.forEach(field => { id[field] = `$${field}`; });
+
+  const rows = await SpendEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: id,
+        userEmail: { $first: '$userEmail' },
+        cost: { $sum: '$cost' },
+        savedCost: { $sum: { $ifNull: ['$savedCost', 0] } },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        pagesAnalyzed: { $sum: 1 },
+        cachedPages: { $sum: { $cond: ['$cached', 1, 0] } }
+      }
+    },
+    { $sort: { '_id.month': -1, cost: -1 } }
+  ]);
+
+  const totals = { cost: 0, savedCost: 0, inputTokens: 0, outputTokens: 0, pagesAnalyzed: 0 };
+  const groups = rows.map(row => {
+    Object.keys(totals).forEach(field => { totals[field] += row[field]; });
+    return {
+      ...row._id,
+      userEmail: groupBy.includes('user') ? row.userEmail : undefined,
+      cost: round(row.cost),
+      savedCost: round(row.savedCost),
+      inputTokens: row.inputTokens,
+      outputTokens: row.outputTokens,
+      pagesAnalyzed: row.pagesAnalyzed,
+      cachedPages: row.cachedPages
+    };
+  });
+
+  return {
+    groupBy,
+    currency: 'USD',
+    totals: { ...totals, cost: round(totals.cost), savedCost: round(totals.savedCost) },
+    groups
+  };
+};
+
+exports.listBudgets = async ({ organization, userIds }) => {
+  const budgets = await Budget.find({ $or: [{ scope: 'global', organization: organization || null }, { scope: 'user', user: { $in: userIds } }] }).populate('user', 'email name').sort({ scope: 1, updatedAt: -1 }).lean();
+  return {
+    defaults: {
+      globalMonthlyLimit: parseLimit(process.env.BUDGET_GLOBAL_MONTHLY_USD),
+      userMonthlyLimit: parseLimit(process.env.BUDGET_USER_MONTHLY_USD),
+      action: defaultAction()
+    },
+    overrides: budgets
+  };
+};
+
+// Budget document of the organization's global budget (userId omitted) or a user's budget
+const budgetFilter = ({ userId, organization }) => {
+  return userId ? { scope: 'user', user: userId } : { scope: 'global', organization: organization || null, user: null };
+};
+
+// Create or replace the organization's global budget (userId omitted) or a user's budget
+exports.setBudget = async ({ userId, organization, monthlyLimit, action, updatedBy }) => {
+  const filter = budgetFilter({ userId, organization });
+  return Budget.findOneAndUpdate(
+    filter,
+    { ...filter, organization: organization || null, monthlyLimit, action: action || defaultAction(), updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Remove an override so the environment default applies again
+exports.removeBudget = async ({ userId, organization }) => {
+  const result = await Budget.deleteOne(budgetFilter({ userId, organization }));
+  return result.deletedCount > 0;
+};
+
+exports.ACTIONS = ACTIONS;
+exports.GROUP_FIELDS = GROUP_FIELDS;
+exports.currentMonth = currentMonth;
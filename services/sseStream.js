@@ -0,0 +1,167 @@
+const EventEmitter = require('events');
+
+// Numbered, buffered SSE event streams keyed by session id.
+// Every event gets an incrementing `id:` so a client that lost its connection can reconnect
+// with Last-Event-ID and receive only what it missed. Events are buffered for the replay
+// window and the stream is dropped that long after it ends.
+const REPLAY_WINDOW_MS = parseInt(process.env.SSE_REPLAY_WINDOW_MS, 10) || 10 * 60 * 1000;
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+const IDLE_TIMEOUT_MS = process.env.SSE_RECONNECT_GRACE_MS !== undefined ? parseInt(process.env.SSE_RECONNECT_GRACE_MS, 10) || 0 : 30000;
+
+class SseStreamStore {
+  constructor() {
+    this.streams = new Map(); // sessionId -> stream
+  }
+
+  // onIdle is called when the last subscriber has been gone for the reconnect grace period
+  createStream(sessionId, userId, { replayWindowMs = REPLAY_WINDOW_MS, onIdle = null } = {}) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    const stream = {
+      sessionId,
+      userId,
+      replayWindowMs,
+      nextId: 1,
+      events: [], // { id, event, at }
+      subscribers: 0,
+      endedAt: null,
+      onIdle,
+      emitter
+    };
+
+    this.streams.set(sessionId, stream);
+    return stream;
+  }
+
+  getStream(sessionId) {
+    return this.streams.get(sessionId) || null;
+  }
+
+  // Number, buffer and broadcast an event. Returns its id.
+  publish(sessionId, event) {
+    const stream = this.streams.get(sessionId);
+    if (!stream || stream.endedAt) return null;
+
+    const now = Date.now();
+    const entry = { id: stream.nextId++, event, at: now };
+    stream.events.push(entry);
+
+    // Drop events that fell out of the replay window
+    while (stream.events.length > 0 && now - stream.events[0].at > stream.replayWindowMs) {
+      stream.events.shift();
+    }
+
+    stream.emitter.emit('event', entry);
+    return entry.id;
+  }
+
+  // No more events; keep the buffer around for late reconnects
+  end(sessionId) {
+    const stream = this.streams.get(sessionId);
+    if (!stream || stream.endedAt) return;
+
+    stream.endedAt = Date.now();
+    stream.emitter.emit('end');
+    setTimeout(() => {
+      if (this.streams.get(sessionId) === stream) this.streams.delete(sessionId);
+    }, stream.replayWindowMs).unref();
+  }
+
+  // Replay buffered events after lastEventId, then follow live events until the stream ends.
+  // Returns an unsubscribe function.
+  subscribe(sessionId, lastEventId, onEvent, onEnd) {
+    const stream = this.streams.get(sessionId);
+    if (!stream) return () => {};
+
+    const after = parseInt(lastEventId, 10) || 0;
+    const oldest = stream.events.length > 0 ? stream.events[0].id : stream.nextId;
+
+    // Some of what the client missed is no longer buffered - tell it to fall back to the saved run
+    if (after + 1 < oldest) {
+      onEvent({
+        id: null,
+        event: {
+          type: 'replay_incomplete',
+          sessionId,
+          lastEventId: after,
+          oldestAvailableId: oldest,
+          message: 'Some events are no longer available for replay. Fetch the run for complete results.'
+        }
+      });
+    }
+
+    stream.events.filter(entry => entry.id > after).forEach(onEvent);
+
+    if (stream.endedAt) {
+      onEnd();
+      return () => {};
+    }
+
+    stream.subscribers++;
+    stream.emitter.on('event', onEvent);
+    stream.emitter.once('end', onEnd);
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      stream.subscribers--;
+      stream.emitter.off('event', onEvent);
+      stream.emitter.off('end', onEnd);
+      if (stream.subscribers === 0) this.scheduleIdleCheck(stream);
+    };
+  }
+
+  scheduleIdleCheck(stream) {
+    if (!stream.onIdle || stream.endedAt) return;
+    setTimeout(() => {
+      if (stream.subscribers === 0 && !stream.endedAt) {
+        console.log(`No subscribers reconnected to ${stream.sessionId} within ${IDLE_TIMEOUT_MS}ms`);
+        stream.onIdle();
+      }
+    }, IDLE_TIMEOUT_MS).unref();
+  }
+
+  hasSubscribers(sessionId) {
+    const stream = this.streams.get(sessionId);
+    return !!stream && stream.subscribers > 0;
+  }
+
+  setHeaders(res, sessionId) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.setHeader('X-Session-ID', sessionId);
+  }
+
+  // Pipe a stream into an HTTP response: replay from lastEventId, live events and heartbeat
+  // comments so idle proxies keep the connection open. Ends the response with the stream.
+  attach(res, sessionId, lastEventId) {
+    const heartbeat = setInterval(() => {
+      if (!res.destroyed && !res.writableEnded) res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+
+    const write = (entry) => {
+      if (res.destroyed || res.writableEnded) return;
+      const idLine = entry.id !== null ? `id: ${entry.id}\n` : '';
+      res.write(`${idLine}data: ${JSON.stringify(entry.event)}\n\n`);
+    };
+
+    let unsubscribe = () => {};
+    const finish = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      if (!res.destroyed && !res.writableEnded) res.end();
+    };
+
+    unsubscribe = this.subscribe(sessionId, lastEventId, write, finish);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+}
+
+module.exports = new SseStreamStore();
@@ -0,0 +1,144 @@
+const { SchemaType } = require('@google/generative-ai');
+
+const modelRegistry = require('./modelRegistry');
+const { CATEGORY_SCHEMAS, CATEGORIES } = require('../config/categorySchemas');
+
+// Structured output: the item format ({ category, data } with the category schema field names)
+// is sent to the provider as a schema - Gemini responseSchema, OpenAI json_schema response
+// format, Claude tool use - so responses are valid item arrays instead of free text.
+// The schema only knows the category schema fields, so saved prompts asking for other fields would
+// lose them: it is opt-in with STRUCTURED_OUTPUT=true and then used for models with the
+// `structuredOutput` capability. The text parsers remain the default and the fallback.
+
+const TOOL_NAME = 'record_extracted_items';
+const DESCRIPTION = 'Line items extracted from the document page, one entry per row';
+
+// Every declared field across categories, with its JSON type
+const FIELDS = {};
+CATEGORIES.forEach(category => {
+  Object.entries(CATEGORY_SCHEMAS[category].fields).forEach(([field, definition]) => {
+    if (!FIELDS[field]) {
+      FIELDS[field] = definition.type === 'number' || definition.type === 'currency' ? 'number' : 'string';
+    }
+  });
+});
+const FIELD_NAMES = Object.keys(FIELDS);
+
+exports.isEnabled = (modelId) => {
+  if (process.env.STRUCTURED_OUTPUT !== 'true') return false;
+  return !!modelRegistry.getModel(modelId)?.capabilities?.structuredOutput;
+};
+
+// JSON Schema of the response object. `strict` follows OpenAI strict mode rules:
+// every property required, optional values expressed as null. Non-strict schemas accept
+// fields beyond the category schemas.
+const itemsJsonSchema = ({ strict = false } = {}) => {
+  const dataProperties = {};
+  FIELD_NAMES.forEach(field => {
+    dataProperties[field] = { type: strict ? [FIELDS[field], 'null'] : FIELDS[field] };
+  });
+
+  return {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        description: DESCRIPTION,
+        items: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', enum: CATEGORIES },
+            data: {
+              type: 'object',
+              properties: dataProperties,
+              required: strict ? FIELD_NAMES : [],
+              additionalProperties: !strict
+            }
+          },
+          required: ['category', 'data'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['items'],
+    additionalProperties: false
+  };
+};
+
+// Gemini generationConfig: JSON mime type plus an OpenAPI-style schema of the item array
+exports.geminiGenerationConfig = () => {
+  const dataProperties = {};
+  FIELD_NAMES.forEach(field => {
+    dataProperties[field] = { type: FIELDS[field] === 'number' ? SchemaType.NUMBER : SchemaType.STRING, nullable: true };
+  });
+
+  return {
+    responseMimeType: 'application/json',
+    responseSchema: {
+      type: SchemaType.ARRAY,
+      description: DESCRIPTION,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          category: { type: SchemaType.STRING, format: 'enum', enum: CATEGORIES },
+          data: { type: SchemaType.OBJECT, properties: dataProperties }
+        },
+        required: ['category', 'data']
+      }
+    }
+  };
+};
+
+exports.openaiResponseFormat = () => ({
+  type: 'json_schema',
+  json_schema: {
+    name: 'extracted_items',
+    strict: true,
+    schema: itemsJsonSchema({ strict: true })
+  }
+});
+
+exports.claudeTool = () => ({
+  name: TOOL_NAME,
+  description: `Record the ${DESCRIPTION.toLowerCase()}`,
+  input_schema: itemsJsonSchema()
+});
+
+exports.claudeToolChoice = () => ({ type: 'tool', name: TOOL_NAME });
+
+// Drop the null/empty placeholders strict schemas force on absent fields
+const normalizeItems = (items) => {
+  return items.map(item => {
+    if (!item || typeof item !== 'object' || !item.data || typeof item.data !== 'object') return item;
+    const data = {};
+    Object.entries(item.data).forEach(([field, value]) => {
+      if (value !== null && value !== undefined && value !== '') data[field] = value;
+    });
+    return { ...item, data };
+  });
+};
+
+// Items from a structured response: the item array itself or { items: [...] }.
+// Falls back to the service's text parser when the response is not in that shape.
+exports.parseItems = (value, fallbackParser) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      parsed = null;
+    }
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (Array.isArray(items)) {
+    return { parsed: normalizeItems(items), error: null };
+  }
+
+  console.warn('Structured output could not be read - falling back to text parsing');
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  const fallback = fallbackParser(text);
+  return { ...fallback, parsed: normalizeItems(fallback.parsed) };
+};
+
+exports.TOOL_NAME = TOOL_NAME;
@@ -0,0 +1,289 @@
+const { TextractClient, AnalyzeDocumentCommand } = require('@aws-sdk/client-textract');
+
+const modelRegistry = require('./modelRegistry');
+const { CATEGORY_SCHEMAS, CATEGORIES } = require('../config/categorySchemas');
+const { OCR_RULES } = require('../config/ocrRules');
+
+// AWS Textract provider behind the `aws-textract` model. AnalyzeDocument (TABLES + FORMS) finds
+// the tables and key-value pairs on the page; table headers are matched to our category field
+// names and aliases to decide the category, and each data row becomes an item.
+//
+//   AWS_REGION / AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY   credentials (or the default AWS chain)
+//   TEXTRACT_ENDPOINT       custom endpoint, e.g. http://localhost:4599 for scripts/textractMockServer.js
+//   TEXTRACT_MAX_ATTEMPTS   SDK attempts per page including retries (default 3)
+
+// Document-level fields copied from the form onto table items that lack them
+const DOCUMENT_FIELDS = ['DATE', 'VENDOR', 'INVOICE_NUMBER'];
+
+const SECTION_PATTERNS = Object.entries(OCR_RULES.sections).map(([category, pattern]) => ({ category, regex: new RegExp(pattern, 'i') }));
+
+let _client = null;
+const getClient = () => {
+  if (!_client) {
+    const config = {
+      region: process.env.AWS_REGION || 'us-east-1',
+      maxAttempts: parseInt(process.env.TEXTRACT_MAX_ATTEMPTS, 10) || 3
+    };
+    if (process.env.TEXTRACT_ENDPOINT) {
+      config.endpoint = process.env.TEXTRACT_ENDPOINT;
+    }
+    if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+      config.credentials = {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      };
+    } else if (process.env.TEXTRACT_ENDPOINT) {
+      // The local stand-in does not check signatures
+      config.credentials = { accessKeyId: 'local', secretAccessKey: 'local' };
+    }
+    _client = new TextractClient(config);
+  }
+  return _client;
+};
+
+const normalizeHeader = (text) => {
+  return (text || '').toUpperCase().replace(/\(.*?\)/g, '').replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+// Schema field a header/key stands for in the given category, or null
+const matchField = (header, category) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return null;
+  const fields = CATEGORY_SCHEMAS[category].fields;
+  return Object.keys(fields).find(field => field === normalized || (fields[field].aliases || []).includes(normalized)) || null;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Index blocks and read the text of a block from its WORD / SELECTION_ELEMENT children
+const createReader = (blocks) => {
+  const byId = new Map(blocks.map(block => [block.Id, block]));
+
+  const childIds = (block, type = 'CHILD') => {
+    return (block.Relationships || []).filter(rel => rel.Type === type).flatMap(rel => rel.Ids || []);
+  };
+
+  const textOf = (block) => {
+    if (!block) return '';
+    return childIds(block)
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .map(child => {
+        if (child.BlockType === 'WORD') return child.Text;
+        if (child.BlockType === 'SELECTION_ELEMENT') return child.SelectionStatus === 'SELECTED' ? 'X' : '';
+        return '';
+      })
+      .filter(Boolean)
+      .join(' ');
+  };
+
+  return { byId, childIds, textOf };
+};
+
+const readTables = (blocks, reader) => {
+  return blocks.filter(block => block.BlockType === 'TABLE').map((table, index) => {
+    const cells = reader.childIds(table).map(id => reader.byId.get(id)).filter(cell => cell && cell.BlockType === 'CELL');
+    const rows = [];
+    cells.forEach(cell => {
+      const row = cell.RowIndex - 1;
+      rows[row] = rows[row] || [];
+      rows[row][cell.ColumnIndex - 1] = {
+        text: reader.textOf(cell).trim(),
+        confidence: cell.Confidence || 0,
+        isHeader: (cell.EntityTypes || []).includes('COLUMN_HEADER')
+      };
+    });
+
+    const titleBlock = reader.childIds(table, 'TABLE_TITLE').map(id => reader.byId.get(id)).find(Boolean);
+    const title = titleBlock ? (titleBlock.Text || reader.textOf(titleBlock)) : null;
+
+    return { index, title, rows: rows.filter(Boolean) };
+  });
+};
+
+const readKeyValues = (blocks, reader) => {
+  return blocks
+    .filter(block => block.BlockType === 'KEY_VALUE_SET' && (block.EntityTypes || []).includes('KEY'))
+    .map(keyBlock => {
+      const valueBlock = reader.childIds(keyBlock, 'VALUE').map(id => reader.byId.get(id)).find(Boolean);
+      return {
+        key: reader.textOf(keyBlock).replace(/[:#\s]+$/, '').trim(),
+        value: reader.textOf(valueBlock).trim(),
+        confidence: round(Math.min(keyBlock.Confidence || 0, valueBlock?.Confidence || 0))
+      };
+    })
+    .filter(pair => pair.key && pair.value);
+};
+
+// Pick the category whose fields best match the headers. Required fields count double;
+// a table needs at least two matched fields including a required one. The table title
+// (e.g. "Materials") decides between equally good matches.
+const detectCategory = (headers, title) => {
+  const hint = title ? (SECTION_PATTERNS.find(s => s.regex.test(title)) || {}).category : null;
+
+  let best = null;
+  CATEGORIES.forEach(category => {
+    const fields = CATEGORY_SCHEMAS[category].fields;
+    const matched = new Set(headers.map(header => matchField(header, category)).filter(Boolean));
+    const requiredMatched = [...matched].filter(field => fields[field].required).length;
+    if (matched.size < 2 || requiredMatched === 0) return;
+
+    const score = matched.size + requiredMatched;
+    if (!best || score > best.score || (score === best.score && category === hint)) {
+      best = { category, score };
+    }
+  });
+
+  if (best && hint && hint !== best.category) {
+    const hintFields = new Set(headers.map(header => matchField(header, hint)).filter(Boolean));
+    if (hintFields.size >= 2) return hint;
+  }
+
+  return best ? best.category : null;
+};
+
+const tableToItems = (table) => {
+  if (table.rows.length < 2) return { category: null, items: [] };
+
+  let headerCount = table.rows.findIndex(row => !row.some(cell => cell && cell.isHeader));
+  if (headerCount <= 0) headerCount = 1;
+
+  const headers = [];
+  table.rows.slice(0, headerCount).forEach(row => {
+    row.forEach((cell, column) => {
+      if (cell && cell.text) headers[column] = headers[column] ? `${headers[column]} ${cell.text}` : cell.text;
+    });
+  });
+
+  const category = detectCategory(headers.filter(Boolean), table.title);
+  if (!category) return { category: null, headers, items: [] };
+
+  const columns = headers.map(header => matchField(header, category) || normalizeHeader(header));
+
+  const items = [];
+  table.rows.slice(headerCount).forEach(row => {
+    const cells = row.filter(Boolean);
+    if (!cells.some(cell => cell.text)) return;
+    const first = (cells.find(cell => cell.text) || {}).text || '';
+    if (/^\s*((sub-?)?total|gst|hst|pst|qst|tax)\b/i.test(first)) return;
+
+    const data = {};
+    row.forEach((cell, column) => {
+      if (cell && cell.text && columns[column]) data[columns[column]] = cell.text;
+    });
+
+    const confidences = cells.map(cell => cell.confidence);
+    data.TEXTRACT = {
+      confidence: round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length),
+      minConfidence: round(Math.min(...confidences)),
+      table: table.index + 1
+    };
+    items.push({ category, data });
+  });
+
+  return { category, headers, items };
+};
+
+// Turn an AnalyzeDocument response into {category, data} items plus a summary
+exports.mapDocument = (blocks) => {
+  const reader = createReader(blocks || []);
+  const tables = readTables(blocks || [], reader);
+  const keyValues = readKeyValues(blocks || [], reader);
+
+  const items = [];
+  const tableSummaries = tables.map(table => {
+    const result = tableToItems(table);
+    items.push(...result.items);
+    return { table: table.index + 1, title: table.title, category: result.category, headers: result.headers, itemCount: result.items.length };
+  });
+
+  // Invoice-level fields (date, vendor, invoice number) from the form apply to every row
+  items.forEach(item => {
+    const fields = CATEGORY_SCHEMAS[item.category].fields;
+    DOCUMENT_FIELDS.filter(field => fields[field] && item.data[field] === undefined).forEach(field => {
+      const pair = keyValues.find(kv => matchField(kv.key, item.category) === field);
+      if (pair) item.data[field] = pair.value;
+    });
+  });
+
+  // A page with no usable table but a vendor and amount in the form is a subtrade invoice
+  if (items.length === 0) {
+    const data = {};
+    keyValues.forEach(pair => {
+      const field = matchField(pair.key, 'subtrade');
+      if (field && data[field] === undefined) data[field] = pair.value;
+    });
+    if (data.VENDOR && data.AMOUNT) {
+      const confidences = keyValues.map(pair => pair.confidence);
+      data.TEXTRACT = { confidence: round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length), minConfidence: Math.min(...confidences), form: true };
+      items.push({ category: 'subtrade', data });
+    }
+  }
+
+  const words = (blocks || []).filter(block => block.BlockType === 'WORD');
+
+  return {
+    items,
+    summary: {
+      engine: 'textract',
+      confidence: words.length > 0 ? round(words.reduce((sum, w) => sum + (w.Confidence || 0), 0) / words.length) : 0,
+      wordCount: words.length,
+      tables: tableSummaries,
+      keyValues
+    }
+  };
+};
+
+const analyzeSingleImage = async (base64Data) => {
+  const base64Part = base64Data.includes(',') ? base64Data.split(',')[1] : base64Data;
+
+  const response = await getClient().send(new AnalyzeDocumentCommand({
+    Document: { Bytes: Buffer.from(base64Part, 'base64') },
+    FeatureTypes: ['TABLES', 'FORMS']
+  }));
+
+  const { items, summary } = exports.mapDocument(response.Blocks);
+
+  return {
+    parsed: items,
+    raw: JSON.stringify({ tables: summary.tables, keyValues: summary.keyValues }),
+    error: null,
+    usage: { inputTokens: 0, outputTokens: 0, pages: response.DocumentMetadata?.Pages || 1 },
+    ocr: summary
+  };
+};
+
+exports.analyzeImage = async (imageBase64, pageNumber, modelName = 'aws-textract', prompt) => {
+  try {
+    return await analyzeSingleImage(imageBase64);
+  } catch (error) {
+    console.error(`Textract error for page ${pageNumber}:`, error.message);
+    return { parsed: [], error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+};
+
+exports.analyzeImagesUltraFast = async (images, onProgress, modelName = 'aws-textract', prompt) => {
+  console.log(`\nTextract ANALYSIS - ${images.length} images${process.env.TEXTRACT_ENDPOINT ? ` via ${process.env.TEXTRACT_ENDPOINT}` : ''}`);
+
+  const results = new Array(images.length).fill(null);
+  let completedCount = 0;
+  const MAX_CONCURRENT = modelRegistry.getMaxConcurrent(modelName);
+
+  const processImage = async (image, index) => {
+    try {
+      results[index] = await analyzeSingleImage(image.base64);
+    } catch (error) {
+      console.error(`   Page ${image.pageNumber} - Textract error:`, error.message);
+      results[index] = { parsed: [], raw: `Error: ${error.message}`, error: error.message, usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+    completedCount++;
+    if (onProgress) onProgress(completedCount, images.length, image.pageNumber);
+  };
+
+  for (let i = 0; i < images.length; i += MAX_CONCURRENT) {
+    const batch = images.slice(i, i + MAX_CONCURRENT);
+    await Promise.all(batch.map((image, batchIndex) => processImage(image, i + batchIndex)));
+  }
+
+  return results;
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+// Short-lived JWT access tokens plus rotating refresh tokens stored server-side. A sign-in starts
+// a refresh token family; POST /api/auth/refresh exchanges the refresh token for a new access token
+// and a new refresh token. Presenting an already exchanged refresh token means it was copied, so
+// the whole family is revoked. Revoked access tokens are listed in a denylist until they expire.
+//
+//   ACCESS_TOKEN_TTL_MINUTES   access token lifetime (default 15)
+//   REFRESH_TOKEN_TTL_DAYS     refresh token lifetime, renewed on every refresh (default 30)
+
+const ACCESS_TOKEN_TTL_MINUTES = parseFloat(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE = 'gnc_refresh';
+
+const ACCESS_TOKEN_TTL_MS = ACCESS_TOKEN_TTL_MINUTES * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Without MongoDB the denylist cannot be checked, so access tokens are refused
+const isAvailable = () => mongoose.connection.readyState === 1;
+
+const signAccessToken = (user, family) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      fam: family
+    },
+    process.env.SESSION_SECRET,
+    { expiresIn: Math.round(ACCESS_TOKEN_TTL_MS / 1000), jwtid: crypto.randomUUID() }
+  );
+};
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: user._id,
+    family,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ip: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  });
+  return token;
+};
+
+const denylist = (entries) => {
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS);
+  return RevokedToken.insertMany(entries.map(entry => ({ expiresAt, ...entry })));
+};
+
+// New sign-in: access token and the first refresh token of a new family
+exports.issueTokens = async (user, req) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user, family, req);
+  return {
+    accessToken: signAccessToken(user, family),
+    refreshToken,
+    expiresIn: Math.round(ACCESS_TOKEN_TTL_MS / 1000),
+    family
+  };
+};
+
+// Exchange a refresh token. Returns { accessToken, refreshToken, expiresIn, user } or { error }.
+exports.rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored || stored.revokedAt) return { error: 'Invalid refresh token' };
+
+  if (stored.usedAt) {
+    console.log(`Refresh token reuse detected for user ${stored.user} - revoking token family ${stored.family}`);
+    await exports.revokeFamily(stored.family, 'reuse');
+    return { error: 'Refresh token already used - please sign in again' };
+  }
+
+  if (stored.expiresAt <= new Date()) return { error: 'Refresh token expired' };
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive || user.isServiceAccount) {
+    await exports.revokeFamily(stored.family, 'deactivated');
+    return { error: 'Account is deactivated' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) {
+    await exports.revokeFamily(stored.family, 'reuse');
+    return { error: 'Refresh token already used - please sign in again' };
+  }
+
+  const refreshToken = await createRefreshToken(user, stored.family, req);
+  return {
+    accessToken: signAccessToken(user, stored.family),
+    refreshToken,
+    expiresIn: Math.round(ACCESS_TOKEN_TTL_MS / 1000),
+    user
+  };
+};
+
+// Revoke every refresh token of a sign-in and the access tokens issued from it
+exports.revokeFamily = async (family, reason) => {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+  await denylist([{ kind: 'family', value: family, reason }]);
+};
+
+// Logout: revoke the refresh token's family. Returns the user id, or null for an unknown token.
+exports.revokeRefreshToken = async (token, reason = 'logout') => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return null;
+
+  await exports.revokeFamily(stored.family, reason);
+  return stored.user;
+};
+
+// Revoke one access token (its decoded payload) until it expires
+exports.revokeAccessToken = async (decoded, reason = 'logout') => {
+  const entries = [];
+  if (decoded.jti) entries.push({ kind: 'token', value: decoded.jti, reason });
+  if (decoded.fam) entries.push({ kind: 'family', value: decoded.fam, reason });
+  if (entries.length > 0) await denylist(entries);
+};
+
+// Sign a user out everywhere: all refresh tokens, and every access token issued until now.
+// Returns the number of sign-ins revoked.
+exports.revokeAllForUser = async (userId, reason = 'admin') => {
+  const families = await RefreshToken.distinct('family', { user: userId, revokedAt: null });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+  // JWT iat has second precision; tokens issued in the current second are covered by their family
+  const issuedBefore = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await denylist([
+    { kind: 'user', value: String(userId), issuedBefore, reason },
+    ...families.map(family => ({ kind: 'family', value: family, reason }))
+  ]);
+  return families.length;
+};
+
+// Whether a decoded access token is on the denylist
+exports.isRevoked = async (decoded) => {
+  const conditions = [
+    { kind: 'user', value: String(decoded.id), issuedBefore: { $gt: new Date(decoded.iat * 1000) } },
+    { kind: 'token', value: decoded.jti },
+    { kind: 'family', value: decoded.fam }
+  ];
+
+  return !!(await RevokedToken.exists({ $or: conditions }));
+};
+
+// jwt.verify plus the denylist. Throws TokenRevokedError for revoked tokens, tokens issued before
+// revocation existed (no jti/fam, which denylist entries cannot cover for their 7-day lifetime)
+// and TokenCheckUnavailableError while MongoDB is down.
+exports.verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.SESSION_SECRET);
+  if (!isAvailable()) {
+    const error = new Error('Token revocation cannot be checked');
+    error.name = 'TokenCheckUnavailableError';
+    throw error;
+  }
+  if (!decoded.jti || !decoded.fam || await exports.isRevoked(decoded)) {
+    const error = new Error('Token revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+  return decoded;
+};
+
+// Refresh token from the httpOnly cookie, or the body for non-browser clients
+exports.readRefreshToken = (req) => {
+  if (typeof req.body?.refreshToken === 'string' && req.body.refreshToken) return req.body.refreshToken;
+
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${REFRESH_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.substring(REFRESH_COOKIE.length + 1)) : null;
+};
+
+// Same attributes as the session cookie; scoped to the auth routes
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  domain: process.env.COOKIE_DOMAIN || undefined,
+  path: '/api/auth'
+});
+
+exports.setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), maxAge: REFRESH_TOKEN_TTL_MS });
+};
+
+exports.clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
@@ -0,0 +1,67 @@
+const { CATEGORY_SCHEMAS, findField } = require('../config/categorySchemas');
+const { isEmpty, parseNumber, parseDate } = require('../utils/valueParsers');
+
+const checkType = (value, type) => {
+  switch (type) {
+    case 'number':
+    case 'currency':
+      return parseNumber(value) !== null;
+    case 'date':
+      return parseDate(value) !== null;
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number';
+    default:
+      return true;
+  }
+};
+
+const TYPE_LABELS = {
+  number: 'a number',
+  currency: 'a currency amount',
+  date: 'a date',
+  string: 'text'
+};
+
+// Validate one item's data against its category schema.
+// Missing required fields and required fields of the wrong type are errors;
+// optional fields of the wrong type and suspicious values are warnings.
+exports.validateItem = (category, data) => {
+  const schema = CATEGORY_SCHEMAS[category];
+  const errors = [];
+  const warnings = [];
+
+  if (!schema) {
+    return { status: 'invalid', errors: [`Unknown category: ${category}`], warnings };
+  }
+
+  Object.entries(schema.fields).forEach(([fieldName, fieldDef]) => {
+    const found = findField(data, fieldName, fieldDef);
+
+    if (!found || isEmpty(found.value)) {
+      if (fieldDef.required) {
+        errors.push(`Missing required field ${fieldName}`);
+      }
+      return;
+    }
+
+    if (!checkType(found.value, fieldDef.type)) {
+      const message = `${found.key} should be ${TYPE_LABELS[fieldDef.type]} (got "${found.value}")`;
+      if (fieldDef.required) {
+        errors.push(message);
+      } else {
+        warnings.push(message);
+      }
+      return;
+    }
+
+    if ((fieldDef.type === 'number' || fieldDef.type === 'currency') && parseNumber(found.value) < 0) {
+      warnings.push(`${found.key} is negative (${found.value})`);
+    }
+  });
+
+  return {
+    status: errors.length > 0 ? 'invalid' : (warnings.length > 0 ? 'warning' : 'valid'),
+    errors,
+    warnings
+  };
+};
@@ -0,0 +1,37 @@
+// Lenient parsers for values extracted by the AI models, which usually arrive as strings
+
+const isEmpty = (value) => {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+};
+
+// "$1,234.50", "1 234.50", "(45.00)" and "45.00 CAD" all parse; returns null when not numeric
+const parseNumber = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const cleaned = value
+    .replace(/\b(CAD|USD)\b/gi, '')
+    .replace(/[$,\s]/g, '')
+    .replace(/^\((.*)\)$/, '-$1');
+  if (cleaned === '' || isNaN(cleaned)) return null;
+  return parseFloat(cleaned);
+};
+
+// Returns a Date at UTC midnight, or null when the value is not a recognizable date
+const parseDate = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+
+  // Date-only ISO strings are already UTC midnight, everything else is parsed as local time
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) return parsed;
+  return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+};
+
+module.exports = {
+  isEmpty,
+  parseNumber,
+  parseDate
+};